@@ -3,6 +3,13 @@ import WalletCard    from './components/WalletCard'
 import SendEth       from './components/SendEth'
 import TxHistory     from './components/TxHistory'
 import TokenChecker  from './components/TokenChecker'
+import Portfolio     from './components/Portfolio'
+import AddressBook   from './components/AddressBook'
+import AbiLibrary    from './components/AbiLibrary'
+import Allowances    from './components/Allowances'
+import NftGallery    from './components/NftGallery'
+import SignMessage   from './components/SignMessage'
+import SiweLogin     from './components/SiweLogin'
 import './App.css'
 
 export default function App() {
@@ -21,11 +28,18 @@ export default function App() {
           <WalletCard />
         </div>
 
-        {/* Right column — all 3 Week 2 apps stacked */}
+        {/* Right column — all apps stacked */}
         <div className="col-right">
           <SendEth />
           <TxHistory />
           <TokenChecker />
+          <Portfolio />
+          <AddressBook />
+          <AbiLibrary />
+          <Allowances />
+          <NftGallery />
+          <SignMessage />
+          <SiweLogin />
         </div>
       </main>
     </div>
@@ -0,0 +1,105 @@
+// src/components/AbiLibrary.jsx
+// ─────────────────────────────────────────────────────────────
+// Imported ABIs — used by TxHistory to decode contract calls
+// that the bundled signature list doesn't know.
+//
+// Paste a JSON ABI (or a Hardhat/Foundry artifact). Tie it to a
+// contract address, or leave the address empty to use it for
+// any contract with matching function selectors.
+// ─────────────────────────────────────────────────────────────
+
+import { useState } from 'react'
+import { useAbiStore } from '../store/abiStore'
+import AddressName from './AddressName'
+import './AbiLibrary.css'
+
+export default function AbiLibrary() {
+  const abis      = useAbiStore(s => s.abis)
+  const importAbi = useAbiStore(s => s.importAbi)
+  const removeAbi = useAbiStore(s => s.removeAbi)
+
+  const [name, setName]       = useState('')
+  const [address, setAddress] = useState('')
+  const [json, setJson]       = useState('')
+  const [error, setError]     = useState(null)
+
+  const handleImport = () => {
+    try {
+      importAbi(name, json, address)
+      setName(''); setAddress(''); setJson(''); setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Number of functions in an ABI, for the list
+  const functionCount = (abi) => abi.filter(item => item.type === 'function').length
+
+  return (
+    <div className="abi-card">
+
+      <div className="abi-header">
+        <div className="abi-header-left">
+          <span className="abi-icon">{'{}'}</span>
+          <span className="abi-title">Contract ABIs</span>
+        </div>
+        <span className="abi-count">{abis.length} imported</span>
+      </div>
+
+      <div className="abi-body">
+
+        {abis.length > 0 && (
+          <div className="abi-list">
+            {abis.map(entry => (
+              <div key={entry.id} className="abi-row">
+                <div className="abi-row-info">
+                  <span className="abi-row-name">{entry.name}</span>
+                  <span className="abi-row-meta">
+                    {functionCount(entry.abi)} functions ·{' '}
+                    {entry.address ? <AddressName address={entry.address} /> : 'any contract'}
+                  </span>
+                </div>
+                <button className="abi-remove-btn" onClick={() => removeAbi(entry.id)} title="Remove ABI">
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="abi-form">
+          <div className="abi-form-row">
+            <input
+              className="field-input"
+              type="text"
+              placeholder="Name e.g. Vesting contract"
+              value={name}
+              onChange={e => { setName(e.target.value); setError(null) }}
+            />
+            <input
+              className="field-input"
+              type="text"
+              placeholder="0x... contract (optional)"
+              value={address}
+              onChange={e => { setAddress(e.target.value); setError(null) }}
+              spellCheck={false}
+            />
+          </div>
+          <textarea
+            className="field-input abi-json"
+            placeholder='[{"type":"function","name":"claim","inputs":[...]}]'
+            value={json}
+            onChange={e => { setJson(e.target.value); setError(null) }}
+            spellCheck={false}
+            rows={4}
+          />
+          <button className="abi-import-btn" onClick={handleImport} disabled={!json.trim()}>
+            Import ABI
+          </button>
+          {error && <span className="abi-error">{error}</span>}
+        </div>
+
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,201 @@
+// src/components/AddressBook.jsx
+// ─────────────────────────────────────────────────────────────
+// Address book — labelled contacts we send to over and over.
+//
+// Contacts live in the wallet store (persisted), so their labels
+// show up everywhere an address is displayed (see AddressName)
+// and SendEth can autocomplete recipients from them.
+//
+// A contact can be scoped to one chain (e.g. a Safe deployed only
+// on Polygon) or apply to every chain. The whole book can be
+// exported as JSON and imported on another machine.
+// ─────────────────────────────────────────────────────────────
+
+import { useState, useRef } from 'react'
+import { useWalletStore } from '../store/walletStore'
+import { CHAINS, getChain } from '../config/chains'
+import { downloadFile } from '../lib/download'
+import './AddressBook.css'
+
+// Helper: shorten address for display
+const short = (addr) => addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : '—'
+
+const EMPTY_FORM = { address: '', label: '', chainId: '', notes: '' }
+
+export default function AddressBook() {
+  const addressBook       = useWalletStore(s => s.addressBook)
+  const addContact        = useWalletStore(s => s.addContact)
+  const updateContact     = useWalletStore(s => s.updateContact)
+  const removeContact     = useWalletStore(s => s.removeContact)
+  const importAddressBook = useWalletStore(s => s.importAddressBook)
+  const exportAddressBook = useWalletStore(s => s.exportAddressBook)
+
+  const [form, setForm]           = useState(EMPTY_FORM)
+  const [editing, setEditing]     = useState(null)   // contact being edited, or null
+  const [formError, setFormError] = useState(null)
+  const [notice, setNotice]       = useState(null)   // import result / error
+  const fileInput = useRef(null)
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value })); setFormError(null)
+  }
+
+  const handleSave = () => {
+    try {
+      if (editing) updateContact(editing, form)
+      else addContact(form)
+      setForm(EMPTY_FORM)
+      setEditing(null)
+      setFormError(null)
+    } catch (err) {
+      setFormError(err.message)
+    }
+  }
+
+  const startEdit = (contact) => {
+    setEditing(contact)
+    setForm({ ...contact, chainId: contact.chainId ?? '' })
+    setFormError(null)
+  }
+
+  const cancelEdit = () => {
+    setEditing(null); setForm(EMPTY_FORM); setFormError(null)
+  }
+
+  // ── Import / export ──────────────────────────────────────────
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''   // allow re-importing the same file
+    if (!file) return
+
+    try {
+      const added = importAddressBook(await file.text())
+      setNotice({ ok: true, text: `Imported ${file.name}: ${added} new contact${added === 1 ? '' : 's'}.` })
+    } catch (err) {
+      setNotice({ ok: false, text: err.message })
+    }
+  }
+
+  const handleExport = () => {
+    downloadFile('address-book.json', exportAddressBook())
+  }
+
+  return (
+    <div className="ab-card">
+
+      <div className="ab-header">
+        <div className="ab-header-left">
+          <span className="ab-icon">☰</span>
+          <span className="ab-title">Address Book</span>
+        </div>
+        <div className="ab-header-right">
+          <span className="ab-count">{addressBook.length} contacts</span>
+          <button className="ab-btn" onClick={() => fileInput.current?.click()} title="Import contacts from JSON">
+            Import
+          </button>
+          <button className="ab-btn" onClick={handleExport} disabled={addressBook.length === 0} title="Download contacts as JSON">
+            Export
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            hidden
+          />
+        </div>
+      </div>
+
+      <div className="ab-body">
+
+        {notice && (
+          <span className={`ab-notice ${notice.ok ? 'ok' : 'error'}`}>{notice.text}</span>
+        )}
+
+        {/* Contacts */}
+        {addressBook.length === 0 ? (
+          <p className="ab-empty">No contacts yet. Add the addresses you send to most.</p>
+        ) : (
+          <div className="ab-list">
+            {addressBook.map(contact => (
+              <div key={`${contact.chainId}:${contact.address}`} className="ab-row">
+                <div className="ab-row-info">
+                  <span className="ab-row-label">
+                    {contact.label}
+                    <span className="ab-chain-tag">
+                      {contact.chainId === null ? 'all chains' : getChain(contact.chainId).shortName}
+                    </span>
+                  </span>
+                  <span className="ab-row-address" title={contact.address}>{short(contact.address)}</span>
+                  {contact.notes && <span className="ab-row-notes">{contact.notes}</span>}
+                </div>
+                <div className="ab-row-actions">
+                  <button className="ab-btn" onClick={() => navigator.clipboard.writeText(contact.address)} title="Copy address">
+                    Copy
+                  </button>
+                  <button className="ab-btn" onClick={() => startEdit(contact)}>
+                    Edit
+                  </button>
+                  <button className="ab-btn remove" onClick={() => removeContact(contact)} title="Delete contact">
+                    ✕
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Add / edit form */}
+        <div className="ab-form">
+          <span className="ab-section-label">{editing ? `Edit ${editing.label}` : 'Add a contact'}</span>
+          <div className="ab-form-row">
+            <input
+              className="field-input"
+              type="text"
+              placeholder="0x..."
+              value={form.address}
+              onChange={e => updateForm('address', e.target.value)}
+              spellCheck={false}
+            />
+            <input
+              className="field-input ab-label-input"
+              type="text"
+              placeholder="Label e.g. Alice (design)"
+              value={form.label}
+              onChange={e => updateForm('label', e.target.value)}
+            />
+          </div>
+          <div className="ab-form-row">
+            <select
+              className="field-input ab-chain-select"
+              value={form.chainId}
+              onChange={e => updateForm('chainId', e.target.value)}
+            >
+              <option value="">All chains</option>
+              {Object.values(CHAINS).map(c => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+            <input
+              className="field-input"
+              type="text"
+              placeholder="Notes (optional)"
+              value={form.notes}
+              onChange={e => updateForm('notes', e.target.value)}
+            />
+          </div>
+          <div className="ab-form-row">
+            <button className="ab-save-btn" onClick={handleSave} disabled={!form.address || !form.label}>
+              {editing ? 'Save changes' : 'Add contact'}
+            </button>
+            {editing && (
+              <button className="ab-btn" onClick={cancelEdit}>Cancel</button>
+            )}
+          </div>
+          {formError && <span className="ab-notice error">{formError}</span>}
+        </div>
+
+      </div>
+    </div>
+  )
+}
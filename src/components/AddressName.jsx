@@ -0,0 +1,27 @@
+// src/components/AddressName.jsx
+// ─────────────────────────────────────────────────────────────
+// Shows an address the friendly way, best name first:
+//   address book label → ENS primary name → short 0x form
+// The full address (and ENS name) is always in the tooltip.
+// ─────────────────────────────────────────────────────────────
+
+import { useEnsProfile } from '../hooks/useEns'
+import { useAddressLabel } from '../hooks/useAddressLabel'
+import './AddressName.css'
+
+// Helper: shorten address for display
+const short = (addr) => addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : '—'
+
+export default function AddressName({ address, className = '' }) {
+  const profile = useEnsProfile(address)
+  const label   = useAddressLabel(address)
+
+  const title = [profile?.name, address].filter(Boolean).join('\n')
+
+  return (
+    <span className={`address-name ${className} ${label ? 'labelled' : ''}`} title={title || undefined}>
+      {profile?.avatar && <img className="address-name-avatar" src={profile.avatar} alt="" />}
+      {label ?? profile?.name ?? short(address)}
+    </span>
+  )
+}
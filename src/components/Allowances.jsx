@@ -0,0 +1,363 @@
+// src/components/Allowances.jsx
+// ─────────────────────────────────────────────────────────────
+// Token approvals: who may spend an address's ERC-20s.
+//
+// Scans Approval events for the viewed address (or any pasted
+// one), then shows every spender that still holds an allowance
+// — unlimited ones flagged (see lib/allowances.js).
+//
+// For the connected wallet each approval can be:
+//   - revoked → approve(spender, 0)
+//   - lowered → approve(spender, newAmount)
+// and several can be revoked at once: one transaction per token
+// and spender, all signed in a row, then waited on together.
+// Every transaction goes through txStore like a normal send.
+// ─────────────────────────────────────────────────────────────
+
+import { useState } from 'react'
+import { ethers } from 'ethers'
+import { useWalletStore } from '../store/walletStore'
+import { useTxStore } from '../store/txStore'
+import { getChain, isSupportedChain } from '../config/chains'
+import { ERC20_ABI } from '../config/abis'
+import { scanAllowances, isUnlimited } from '../lib/allowances'
+import { getTokenMeta } from '../lib/tokenMeta'
+import { isEnsName, resolveEnsName } from '../lib/ens'
+import AddressName from './AddressName'
+import './Allowances.css'
+
+// Helper: the row key for a token + spender pair
+const pairKey = (item) => `${item.token}:${item.spender}`
+
+// Helper: allowance → readable amount
+const formatAllowance = (item) => {
+  if (item.unlimited) return 'Unlimited'
+  if (!item.meta) return item.amount.toString()
+  const amount = parseFloat(ethers.formatUnits(item.amount, item.meta.decimals))
+  return amount.toLocaleString('en-US', { maximumFractionDigits: 6 })
+}
+
+// Helper: wallet errors → one short line
+const approveError = (err) => {
+  const msg = err.shortMessage || err.message || ''
+  if (msg.includes('insufficient funds')) return 'Not enough funds for the network fee.'
+  // Some tokens (USDT…) refuse to change a non-zero allowance to another non-zero value
+  if (msg.includes('revert') || err.code === 'CALL_EXCEPTION') return 'The token rejected this approval. Try revoking to 0 first.'
+  return 'Transaction failed. Please try again.'
+}
+
+export default function Allowances() {
+  const address       = useWalletStore(s => s.address)
+  const isConnected   = useWalletStore(s => s.status === 'connected')
+  const chainId       = useWalletStore(s => s.chainId)
+  const viewedAddress = useWalletStore(s => s.viewAddress || s.address)
+
+  const chain        = getChain(chainId)
+  const wrongNetwork = isConnected && !isSupportedChain(chainId)
+
+  const [ownerInput, setOwnerInput] = useState('')
+  const [scan, setScan]             = useState(null)    // { owner, chainId, items } from the last scan
+  const [scanning, setScanning]     = useState(false)
+  const [progress, setProgress]     = useState(null)    // { from, to, current }
+  const [error, setError]           = useState(null)
+
+  // Per-row transaction state: key → { state: 'signing' | 'pending' | 'error', message }
+  const [rowStatus, setRowStatus] = useState({})
+  const [selected, setSelected]   = useState([])       // row keys ticked for batch revoke
+  const [lowering, setLowering]   = useState(null)     // { key, value } inline "lower to" form
+
+  // A scan only applies to the chain it ran on
+  const items = scan?.chainId === chainId ? scan.items : []
+
+  // Only the connected wallet can sign approvals for itself
+  const canSign = Boolean(
+    scan && isConnected && !wrongNetwork &&
+    scan.owner.toLowerCase() === address?.toLowerCase()
+  )
+
+  const setStatus = (key, status) => setRowStatus(prev => {
+    const { [key]: _old, ...rest } = prev
+    return status ? { ...rest, [key]: status } : rest
+  })
+
+  // ── runScan() ────────────────────────────────────────────────
+  const runScan = async () => {
+    const input = ownerInput.trim() || viewedAddress
+    setError(null)
+
+    let owner
+    try {
+      owner = isEnsName(input) ? await resolveEnsName(input, chainId) : input
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+    if (!owner || !ethers.isAddress(owner)) {
+      setError(viewedAddress ? 'Invalid owner address.' : 'Enter an address to inspect, or connect your wallet.')
+      return
+    }
+
+    setScanning(true)
+    setSelected([])
+    setRowStatus({})
+    setLowering(null)
+
+    try {
+      const provider = useWalletStore.getState().getReadProvider()
+      const found    = await scanAllowances(provider, chain.id, ethers.getAddress(owner), { onProgress: setProgress })
+
+      // Token symbol/decimals, cached per token (lib/tokenMeta.js)
+      const tokens = [...new Set(found.map(a => a.token))]
+      const metas  = await Promise.all(tokens.map(token => getTokenMeta(chain.id, token).catch(() => null)))
+      const metaOf = Object.fromEntries(tokens.map((token, i) => [token, metas[i]]))
+
+      setScan({
+        owner:   ethers.getAddress(owner),
+        chainId,
+        items:   found.map(a => ({ ...a, meta: metaOf[a.token] })),
+      })
+    } catch (err) {
+      setError(`Could not scan approvals: ${err.shortMessage || err.message}`)
+    } finally {
+      setScanning(false)
+      setProgress(null)
+    }
+  }
+
+  // ── sendApprovals() ──────────────────────────────────────────
+  // approve() for each { item, amount }: every transaction is
+  // signed first (the wallet picks consecutive nonces), then all
+  // are waited on. Rows update as their transaction resolves.
+  //
+  // Lowering to a non-zero amount sends approve(spender, 0) first:
+  // USDT and other tokens revert on a non-zero → non-zero approve.
+  // Consecutive nonces mean the reset always mines first.
+  const sendApprovals = async (requests) => {
+    let signer
+    try {
+      signer = await useWalletStore.getState().getBrowserProvider().getSigner()
+    } catch {
+      setError('Connect your wallet to change approvals.')
+      return
+    }
+
+    const sent = []
+    for (const { item, amount } of requests) {
+      const key = pairKey(item)
+      setStatus(key, { state: 'signing' })
+      const contract = new ethers.Contract(item.token, ERC20_ABI, signer)
+      const symbol   = item.meta?.symbol ?? 'token'
+      let reset = null
+      try {
+        if (amount > 0n) {
+          reset = await contract.approve(item.spender, 0n)
+          useTxStore.getState().trackTx(reset, { description: `Reset ${symbol} approval to 0` })
+        }
+        const tx = await contract.approve(item.spender, amount)
+        useTxStore.getState().trackTx(tx, {
+          description: amount === 0n ? `Revoke ${symbol} approval` : `Lower ${symbol} approval`,
+        })
+        setStatus(key, { state: 'pending' })
+        sent.push({ item, amount, tx })
+      } catch (err) {
+        const rejected = err.code === 4001 || err.code === 'ACTION_REJECTED'
+        if (reset) {
+          // The reset went out but the new amount didn't — it's a revoke now
+          setStatus(key, { state: 'pending' })
+          sent.push({ item, amount: 0n, tx: reset })
+        } else {
+          setStatus(key, rejected ? null : { state: 'error', message: approveError(err) })
+        }
+        // Rejecting one in a batch stops the rest
+        if (rejected) break
+      }
+    }
+
+    await Promise.all(sent.map(async ({ item, amount, tx }) => {
+      const key = pairKey(item)
+      try {
+        await tx.wait()
+        setStatus(key, null)
+        setSelected(prev => prev.filter(k => k !== key))
+        setScan(prev => prev && {
+          ...prev,
+          items: amount === 0n
+            ? prev.items.filter(i => pairKey(i) !== key)
+            : prev.items.map(i => (pairKey(i) === key ? { ...i, amount, unlimited: isUnlimited(amount) } : i)),
+        })
+      } catch (err) {
+        setStatus(key, { state: 'error', message: err.code === 'TRANSACTION_REPLACED' ? 'Replaced — rescan to check.' : approveError(err) })
+      }
+    }))
+  }
+
+  const revoke = (items) => sendApprovals(items.map(item => ({ item, amount: 0n })))
+
+  const lowerApproval = (item) => {
+    let amount
+    try {
+      amount = ethers.parseUnits(lowering.value.trim(), item.meta?.decimals ?? 0)
+    } catch {
+      setStatus(pairKey(item), { state: 'error', message: 'Enter a valid amount.' })
+      return
+    }
+    if (amount >= item.amount) {
+      setStatus(pairKey(item), { state: 'error', message: 'The new allowance must be lower than the current one.' })
+      return
+    }
+    setLowering(null)
+    sendApprovals([{ item, amount }])
+  }
+
+  const toggleSelected = (key) =>
+    setSelected(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]))
+
+  const busy          = Object.values(rowStatus).some(s => s.state === 'signing' || s.state === 'pending')
+  const selectedItems = items.filter(item => selected.includes(pairKey(item)))
+  const unlimitedCount = items.filter(item => item.unlimited).length
+
+  return (
+    <div className="al-card">
+
+      <div className="al-header">
+        <div className="al-header-left">
+          <span className="al-icon">⚿</span>
+          <span className="al-title">Token Approvals</span>
+        </div>
+        {scan && (
+          <span className={`al-count ${unlimitedCount > 0 ? 'warn' : ''}`}>
+            {items.length} active{unlimitedCount > 0 && ` · ${unlimitedCount} unlimited`}
+          </span>
+        )}
+      </div>
+
+      <div className="al-body">
+
+        <div className="al-scan-row">
+          <input
+            className="field-input"
+            type="text"
+            placeholder={viewedAddress ? `${viewedAddress.slice(0, 6)}...${viewedAddress.slice(-4)} (viewed address) — or paste 0x / name.eth` : '0x... or name.eth'}
+            value={ownerInput}
+            onChange={e => { setOwnerInput(e.target.value); setError(null) }}
+            disabled={scanning}
+            spellCheck={false}
+          />
+          <button className="al-scan-btn" onClick={runScan} disabled={scanning || busy || (!ownerInput.trim() && !viewedAddress)}>
+            {scanning ? 'Scanning…' : 'Scan'}
+          </button>
+        </div>
+
+        {progress && (
+          <span className="al-progress">
+            Reading Approval events · block {progress.current.toLocaleString('en-US')} of {progress.to.toLocaleString('en-US')}
+          </span>
+        )}
+
+        {error && <span className="al-error">{error}</span>}
+
+        {scan && !scanning && items.length === 0 && (
+          <p className="al-empty">
+            No active approvals for <AddressName address={scan.owner} /> on {chain.name}.
+          </p>
+        )}
+
+        {items.length > 0 && (
+          <>
+            <div className="al-owner-row">
+              <span className="al-section-label">
+                Spenders for <AddressName address={scan.owner} />
+              </span>
+              {canSign ? (
+                <button
+                  className="al-btn danger"
+                  onClick={() => revoke(selectedItems)}
+                  disabled={selectedItems.length === 0 || busy}
+                >
+                  Revoke selected ({selectedItems.length})
+                </button>
+              ) : (
+                <span className="al-readonly">Read-only — connect as this address to revoke</span>
+              )}
+            </div>
+
+            <div className="al-list">
+              {items.map(item => {
+                const key    = pairKey(item)
+                const status = rowStatus[key]
+                const active = status?.state === 'signing' || status?.state === 'pending'
+
+                return (
+                  <div key={key} className={`al-row ${item.unlimited ? 'unlimited' : ''}`}>
+                    {canSign && (
+                      <input
+                        type="checkbox"
+                        className="al-check"
+                        checked={selected.includes(key)}
+                        onChange={() => toggleSelected(key)}
+                        disabled={active}
+                      />
+                    )}
+
+                    <div className="al-row-info">
+                      <span className="al-row-token">
+                        {item.meta?.symbol ?? <AddressName address={item.token} />}
+                        <span className={`al-amount ${item.unlimited ? 'unlimited' : ''}`}>
+                          {formatAllowance(item)}
+                        </span>
+                      </span>
+                      <span className="al-row-spender">
+                        spender <AddressName address={item.spender} />
+                      </span>
+                      {status?.state === 'signing' && <span className="al-row-status">Confirm in your wallet…</span>}
+                      {status?.state === 'pending' && <span className="al-row-status">Waiting for confirmation…</span>}
+                      {status?.state === 'error' && <span className="al-row-status error">{status.message}</span>}
+
+                      {lowering?.key === key && (
+                        <div className="al-lower-row">
+                          <input
+                            className="field-input"
+                            type="text"
+                            inputMode="decimal"
+                            placeholder={`New allowance (${item.meta?.symbol ?? 'raw units'})`}
+                            value={lowering.value}
+                            onChange={e => setLowering({ key, value: e.target.value })}
+                          />
+                          <button
+                            className="al-btn"
+                            onClick={() => lowerApproval(item)}
+                            disabled={!lowering.value.trim()}
+                            title="Sends approve(0) first, then the new allowance: tokens like USDT reject changing one non-zero allowance to another"
+                          >
+                            Set
+                          </button>
+                          <button className="al-btn" onClick={() => setLowering(null)}>Cancel</button>
+                        </div>
+                      )}
+                    </div>
+
+                    {canSign && (
+                      <div className="al-row-actions">
+                        <button
+                          className="al-btn"
+                          onClick={() => setLowering({ key, value: '' })}
+                          disabled={active || lowering?.key === key}
+                        >
+                          Lower
+                        </button>
+                        <button className="al-btn danger" onClick={() => revoke([item])} disabled={active}>
+                          Revoke
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          </>
+        )}
+
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,448 @@
+// src/components/BatchSend.jsx
+// ─────────────────────────────────────────────────────────────
+// SendEth's batch mode: pay many recipients from one CSV.
+//
+//   1. Paste or upload   address,amount[,token]   lines
+//   2. Review — every row is checked with SendEth's rules and
+//      gas is estimated; totals and per-row fees are shown
+//   3. Send — one transaction per row (we assign the nonces so
+//      the wallet signs them back to back), or one Disperse
+//      call per asset (lib/payouts.js)
+//
+// Every row keeps its own status. If the batch stops (a
+// rejected signature, a failed transaction) "Resume" sends only
+// the rows that haven't gone out yet. The report CSV records
+// each row's outcome and transaction hash.
+// ─────────────────────────────────────────────────────────────
+
+import { useState, useRef } from 'react'
+import { ethers } from 'ethers'
+import { useWalletStore } from '../store/walletStore'
+import { useTxStore } from '../store/txStore'
+import { getChain, isSupportedChain } from '../config/chains'
+import { ERC20_ABI } from '../config/abis'
+import { useWatchedTokens } from '../hooks/useWatchedTokens'
+import { FEE_SPEEDS, fetchFeeSuggestions, estimateGasLimit, resolveFees, maxFeeCost, expectedFeeCost } from '../lib/fees'
+import {
+  parsePayoutCsv, resolvePayouts, groupByAsset, hasDisperse, payoutCall, disperseCall,
+  disperseApproveCall, DISPERSE_ADDRESS, REPORT_COLUMNS, toReportRows,
+} from '../lib/payouts'
+import { toCsv } from '../lib/historyExport'
+import { downloadFile } from '../lib/download'
+import NetworkGuard from './NetworkGuard'
+
+const MODES = {
+  sequential: 'One tx per row',
+  disperse:   'Disperse (one tx per asset)',
+}
+
+const STATUS_LABELS = {
+  signing:   'Confirm in wallet…',
+  approving: 'Approving…',
+  sent:      'Pending',
+  confirmed: 'Confirmed',
+  failed:    'Failed',
+}
+
+// Rows in these states are on-chain (or about to be) — never resend them
+const isSent = (status) => status?.state === 'sent' || status?.state === 'confirmed'
+
+// Helper: wei → readable amount e.g. "0.004210"
+const formatWei = (wei, decimals) => parseFloat(ethers.formatUnits(wei, decimals)).toFixed(6)
+
+// Helper: wallet errors → one short line
+const payoutError = (err) => {
+  const msg = err.shortMessage || err.message || ''
+  if (msg.includes('insufficient funds')) return 'Insufficient funds for this payout plus gas.'
+  if (msg.includes('nonce')) return 'Nonce conflict — another transaction used this slot. Resume to retry.'
+  if (err.code === 'CALL_EXCEPTION') return 'The transaction reverted.'
+  return 'Transaction failed.'
+}
+
+// ── reviewBatch() ─────────────────────────────────────────────
+// Everything the review screen needs, read once:
+//   rows         resolved rows (lib/payouts.js) + gasLimit each
+//   suggestions  fee presets
+//   balances     { tokenAddress: balance } for token groups
+//   disperse     is the Disperse contract on this chain?
+const reviewBatch = async (csv, { chainId, nativeCurrency, watchedTokens, owner }) => {
+  const parsed = parsePayoutCsv(csv)
+  const { getBrowserProvider, getReadProvider } = useWalletStore.getState()
+  const wallet = getBrowserProvider()
+  const reader = getReadProvider()
+
+  const resolved = await resolvePayouts(parsed, { chainId, nativeCurrency, watchedTokens })
+  const tokens   = groupByAsset(resolved).filter(g => g.asset.address).map(g => g.asset.address)
+
+  const [suggestions, disperse, tokenBalances, rows] = await Promise.all([
+    fetchFeeSuggestions(wallet),
+    hasDisperse(reader, chainId).catch(() => false),
+    Promise.all(tokens.map(token => new ethers.Contract(token, ERC20_ABI, reader).balanceOf(owner))),
+    // Estimate each row as its own transfer. Estimating beyond the
+    // balance reverts — the balance check below explains that case.
+    Promise.all(resolved.map(async (row) => {
+      if (row.error) return row
+      try {
+        return { ...row, gasLimit: await estimateGasLimit(wallet, { from: owner, ...payoutCall(row) }) }
+      } catch {
+        return { ...row, gasLimit: null }
+      }
+    })),
+  ])
+
+  const balances = Object.fromEntries(tokens.map((token, i) => [token, tokenBalances[i]]))
+  return { rows, suggestions, balances, disperse }
+}
+
+export default function BatchSend() {
+  const isConnected = useWalletStore(s => s.status === 'connected')
+  const address     = useWalletStore(s => s.address)
+  const rawBalance  = useWalletStore(s => s.rawBalance)
+  const chainId     = useWalletStore(s => s.chainId)
+
+  const chain         = getChain(chainId)
+  const native        = chain.nativeCurrency
+  const watchedTokens = useWatchedTokens(chainId)
+  const wrongNetwork  = isConnected && !isSupportedChain(chainId)
+
+  const [csv, setCsv]             = useState('')
+  const [reviewing, setReviewing] = useState(false)
+  const [review, setReview]       = useState(null)    // { key, ...reviewBatch() }
+  const [errorMsg, setErrorMsg]   = useState(null)
+  const [mode, setMode]           = useState('sequential')
+  const [speed, setSpeed]         = useState('normal')
+  const [statuses, setStatuses]   = useState({})      // line → { state, hash, error }
+  const [running, setRunning]     = useState(false)
+  const fileInput = useRef(null)
+
+  // A review only holds for the chain + account it was made on
+  const reviewKey = `${chain.id}:${address}`
+  const current   = review?.key === reviewKey ? review : null
+  const rows      = current?.rows ?? []
+
+  const fees     = current ? resolveFees(current.suggestions, speed) : null
+  const baseFee  = current?.suggestions.baseFee
+  const started  = Object.keys(statuses).length > 0
+  const pending  = rows.filter(row => !row.error && !isSent(statuses[row.line]))
+  const groups   = groupByAsset(pending)
+  const useDisperse = mode === 'disperse' && current?.disperse
+
+  // ── Fees ─────────────────────────────────────────────────────
+  // Sequential: each row's own estimate. Disperse: one call per
+  // asset — we show the separate-transfer total as an upper bound
+  // (a token call can't be estimated before its approve()).
+  const rowFee = (row) => (row.gasLimit && fees ? expectedFeeCost(fees, row.gasLimit, baseFee) : null)
+  const gasTotal = pending.reduce((sum, row) => sum + (row.gasLimit ?? 0n), 0n)
+  const feeTotal = fees ? expectedFeeCost(fees, gasTotal, baseFee) : null
+  const feeMax   = fees ? maxFeeCost(fees, gasTotal) : null
+  const txCount  = useDisperse
+    ? groups.length + groups.filter(g => g.asset.address).length   // + approve() per token, if needed
+    : pending.length
+
+  // ── Batch checks (only the rows still to send) ───────────────
+  const batchErrors = []
+  if (current) {
+    const invalid = rows.filter(row => row.error).length
+    if (invalid) batchErrors.push(`${invalid} row${invalid > 1 ? 's are' : ' is'} invalid. Fix the CSV and review again.`)
+    if (pending.some(row => !row.error && row.gasLimit == null))
+      batchErrors.push('Gas estimation failed for some rows. Check those recipients and amounts.')
+    for (const group of groups) {
+      const { asset, total } = group
+      if (asset.address && total > current.balances[asset.address])
+        batchErrors.push(`Insufficient ${asset.symbol}. The batch sends ${ethers.formatUnits(total, asset.decimals)} but your balance is ${ethers.formatUnits(current.balances[asset.address], asset.decimals)}.`)
+    }
+    const nativeTotal = groups.find(g => !g.asset.address)?.total ?? 0n
+    if (feeMax != null && rawBalance != null && nativeTotal + feeMax > rawBalance)
+      batchErrors.push(`Not enough ${native.symbol}. The batch needs up to ${formatWei(nativeTotal + feeMax, native.decimals)} ${native.symbol} including network fees.`)
+  }
+
+  const setStatus = (lines, status) => setStatuses(prev => {
+    const next = { ...prev }
+    for (const line of lines) {
+      if (status) next[line] = status
+      else delete next[line]
+    }
+    return next
+  })
+
+  // ── runReview() ──────────────────────────────────────────────
+  const runReview = async () => {
+    setErrorMsg(null)
+    setReviewing(true)
+    try {
+      const result = await reviewBatch(csv, { chainId: chain.id, nativeCurrency: native, watchedTokens, owner: address })
+      setReview({ key: reviewKey, ...result })
+      if (!result.disperse) setMode('sequential')
+    } catch (err) {
+      setErrorMsg(err.shortMessage || err.message)
+    } finally {
+      setReviewing(false)
+    }
+  }
+
+  const loadFile = async (file) => {
+    if (!file) return
+    setCsv(await file.text())
+    setReview(null)
+    setErrorMsg(null)
+  }
+
+  // ── watch() ──────────────────────────────────────────────────
+  // Waits for a sent transaction and settles its rows. A sped-up
+  // transaction still paid out; a cancelled one didn't.
+  const watch = async (tx, lines) => {
+    try {
+      const receipt = await tx.wait()
+      setStatus(lines, { state: 'confirmed', hash: receipt.hash })
+    } catch (err) {
+      if (err.code === 'TRANSACTION_REPLACED' && err.reason === 'repriced') {
+        setStatus(lines, { state: 'confirmed', hash: err.replacement.hash })
+        return
+      }
+      const error = err.code === 'TRANSACTION_REPLACED'
+        ? (err.reason === 'cancelled' ? 'Cancelled.' : 'Replaced by another transaction.')
+        : payoutError(err)
+      setStatus(lines, { state: 'failed', hash: tx.hash, error })
+    }
+  }
+
+  // ── sendBatch() ──────────────────────────────────────────────
+  // Sends every row that hasn't gone out yet. Nonces come from
+  // the pending count and go up by one per signed transaction,
+  // so the wallet never has to wait for the previous one to mine.
+  // Stops at the first rejection or error — Resume picks up there.
+  const sendBatch = async () => {
+    if (batchErrors.length) return
+    setErrorMsg(null)
+    setRunning(true)
+
+    const waits = []
+    let active  = []   // lines of the transaction being signed right now
+    try {
+      const provider = useWalletStore.getState().getBrowserProvider()
+      const signer   = await provider.getSigner()
+      let nonce = await provider.getTransactionCount(address, 'pending')
+
+      const send = async (call, lines, description) => {
+        const gasLimit = call.gasLimit ?? await estimateGasLimit(provider, { from: address, ...call })
+        const tx = await signer.sendTransaction({ ...call, gasLimit, nonce, ...fees })
+        nonce++
+        useTxStore.getState().trackTx(tx, { description })
+        return tx
+      }
+
+      if (useDisperse) {
+        for (const group of groups) {
+          const { asset, rows: groupRows, total } = group
+          const lines = groupRows.map(row => row.line)
+          active = lines
+
+          // Disperse pulls tokens with transferFrom() — approve the total first
+          if (asset.address) {
+            const token     = new ethers.Contract(asset.address, ERC20_ABI, useWalletStore.getState().getReadProvider())
+            const allowance = await token.allowance(address, DISPERSE_ADDRESS)
+            if (allowance < total) {
+              setStatus(lines, { state: 'approving' })
+              const approval = await send(disperseApproveCall(group), lines, `Approve ${asset.symbol} for batch payout`)
+              await approval.wait()
+            }
+          }
+
+          setStatus(lines, { state: 'signing' })
+          const tx = await send(disperseCall(group), lines, `Batch payout: ${groupRows.length} × ${asset.symbol}`)
+          setStatus(lines, { state: 'sent', hash: tx.hash })
+          waits.push(watch(tx, lines))
+        }
+      } else {
+        for (const row of pending) {
+          active = [row.line]
+          setStatus([row.line], { state: 'signing' })
+          const tx = await send({ ...payoutCall(row), gasLimit: row.gasLimit }, [row.line], `Batch payout: ${row.amount} ${row.asset.symbol}`)
+          setStatus([row.line], { state: 'sent', hash: tx.hash })
+          waits.push(watch(tx, [row.line]))
+        }
+      }
+    } catch (err) {
+      // The row(s) we were on go back to "not sent" (rejected) or
+      // "failed"; rows after them were never touched
+      const rejected = err.code === 4001 || err.code === 'ACTION_REJECTED'
+      setStatus(active, rejected ? null : { state: 'failed', error: payoutError(err) })
+      if (!rejected) setErrorMsg(`The batch stopped: ${payoutError(err)} Resume to send the remaining rows.`)
+    }
+
+    await Promise.all(waits)
+    useWalletStore.getState().refreshBalance()
+    setRunning(false)
+  }
+
+  const downloadReport = () => {
+    const date = new Date().toISOString().slice(0, 10)
+    downloadFile(`payouts-${chain.id}-${date}.csv`, toCsv(toReportRows(rows, statuses), REPORT_COLUMNS), 'text/csv')
+  }
+
+  const newBatch = () => {
+    setCsv(''); setReview(null); setStatuses({}); setErrorMsg(null)
+  }
+
+  const isLocked  = running || wrongNetwork
+  const confirmed = rows.filter(row => statuses[row.line]?.state === 'confirmed').length
+
+  return (
+    <>
+      <NetworkGuard />
+
+      <div className="field">
+        <label className="field-label">
+          Payouts CSV
+          <span className="field-hint">— address,amount[,token] per line</span>
+        </label>
+        <textarea
+          className="field-input batch-csv"
+          rows={6}
+          placeholder={`0xAbc…123,0.5\nvitalik.eth,25,USDC\n0xDef…456,100,0x1c7D…7238`}
+          value={csv}
+          onChange={e => { setCsv(e.target.value); setReview(null); setErrorMsg(null) }}
+          disabled={isLocked || started}
+          spellCheck={false}
+        />
+        <div className="batch-actions">
+          <button className="batch-btn" onClick={() => fileInput.current?.click()} disabled={isLocked || started}>
+            Upload CSV
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,text/csv,text/plain"
+            hidden
+            onChange={e => { loadFile(e.target.files[0]); e.target.value = '' }}
+          />
+          <button
+            className="batch-btn primary"
+            onClick={runReview}
+            disabled={isLocked || started || reviewing || !csv.trim() || !isConnected}
+          >
+            {reviewing ? 'Checking…' : 'Review'}
+          </button>
+          {started && !running && (
+            <button className="batch-btn" onClick={newBatch}>New batch</button>
+          )}
+        </div>
+      </div>
+
+      {current && (
+        <>
+          {/* ── Rows ── */}
+          <div className="batch-list">
+            {rows.map(row => {
+              const status = statuses[row.line]
+              const fee    = !useDisperse ? rowFee(row) : null
+              return (
+                <div key={row.line} className={`batch-row ${row.error ? 'invalid' : status?.state ?? ''}`}>
+                  <span className="batch-line">{row.line}</span>
+                  <div className="batch-row-main">
+                    <span className="batch-recipient" title={row.recipient ?? row.address}>
+                      {row.recipient && row.recipient !== row.address ? `${row.address} → ${row.recipient.slice(0, 6)}...${row.recipient.slice(-4)}` : row.address}
+                    </span>
+                    {row.error
+                      ? <span className="batch-row-error">{row.error}</span>
+                      : status?.error && <span className="batch-row-error">{status.error}</span>}
+                  </div>
+                  <span className="batch-amount">
+                    {row.amount} {row.asset?.symbol ?? row.token}
+                    {fee != null && <span className="batch-fee">fee ≈ {formatWei(fee, native.decimals)}</span>}
+                  </span>
+                  <span className={`batch-status ${row.error ? 'invalid' : status?.state ?? 'ready'}`}>
+                    {row.error ? 'Invalid' : STATUS_LABELS[status?.state] ?? 'Ready'}
+                  </span>
+                </div>
+              )
+            })}
+          </div>
+
+          {/* ── Totals + fees ── */}
+          <div className="fee-box">
+            {groupByAsset(rows).map(({ asset, total, rows: groupRows }) => (
+              <div key={asset.address ?? 'native'} className="fee-row">
+                <span className="field-label">{asset.symbol} · {groupRows.length} row{groupRows.length > 1 ? 's' : ''}</span>
+                <span className="fee-value">{ethers.formatUnits(total, asset.decimals)} {asset.symbol}</span>
+              </div>
+            ))}
+            <div className="fee-row">
+              <span className="field-label">Network fees</span>
+              <span className="fee-value">
+                {feeTotal != null ? `≈ ${formatWei(feeTotal, native.decimals)} ${native.symbol}` : '—'}
+              </span>
+            </div>
+
+            <div className="speed-row">
+              {Object.entries(MODES).map(([key, label]) => (
+                <button
+                  key={key}
+                  className={`speed-btn ${mode === key ? 'active' : ''}`}
+                  onClick={() => setMode(key)}
+                  disabled={isLocked || (key === 'disperse' && !current.disperse)}
+                  title={key === 'disperse' && !current.disperse ? `No Disperse contract on ${chain.name}` : undefined}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="speed-row">
+              {Object.entries(FEE_SPEEDS).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  className={`speed-btn ${speed === key ? 'active' : ''}`}
+                  onClick={() => setSpeed(key)}
+                  disabled={isLocked}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <span className="fee-hint">
+              {pending.length} payout{pending.length === 1 ? '' : 's'} left · {txCount} transaction{txCount === 1 ? '' : 's'} to sign
+              {feeMax != null && ` · max ${formatWei(feeMax, native.decimals)} ${native.symbol}`}
+              {useDisperse && ' · fees are an upper bound'}
+            </span>
+          </div>
+        </>
+      )}
+
+      {/* ── Errors ── */}
+      {(errorMsg || batchErrors.length > 0) && (
+        <div className="send-error">
+          <div className="error-icon-wrap">!</div>
+          <div className="error-text">
+            <span className="error-title">{errorMsg ? 'Batch Error' : 'Cannot Send Yet'}</span>
+            {errorMsg && <span className="error-body">{errorMsg}</span>}
+            {batchErrors.map(error => <span key={error} className="error-body">{error}</span>)}
+          </div>
+        </div>
+      )}
+
+      {current && (
+        <>
+          <button
+            className="send-btn"
+            onClick={sendBatch}
+            disabled={isLocked || pending.length === 0 || batchErrors.length > 0}
+          >
+            {running
+              ? <><span className="status-spinner white" /> Sending batch…</>
+              : pending.length === 0 ? `All ${confirmed} payouts sent`
+              : started ? `Resume (${pending.length} left)`
+              : `Send ${pending.length} payouts`}
+          </button>
+          <button className="batch-btn" onClick={downloadReport} disabled={running}>
+            Download report (CSV)
+          </button>
+        </>
+      )}
+
+      {!isConnected && (
+        <p className="send-warning">Connect your wallet first.</p>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,46 @@
+// src/components/NetworkGuard.jsx
+// ─────────────────────────────────────────────────────────────
+// The "required chain" guard.
+//
+// Renders nothing while the wallet is on a chain from our
+// registry. On any other chain it shows a warning plus a button
+// that switches the wallet to the default chain.
+//
+// Components that send transactions or read contracts render
+// <NetworkGuard /> and disable themselves with the same check:
+//   const wrongNetwork = isConnected && !isSupportedChain(chainId)
+// ─────────────────────────────────────────────────────────────
+
+import { useWalletStore } from '../store/walletStore'
+import { DEFAULT_CHAIN_ID, getChain, isSupportedChain } from '../config/chains'
+import './NetworkGuard.css'
+
+export default function NetworkGuard() {
+  const isConnected    = useWalletStore(s => s.status === 'connected')
+  const chainId        = useWalletStore(s => s.chainId)
+  const switchingChain = useWalletStore(s => s.switchingChain)
+  const switchChain    = useWalletStore(s => s.switchChain)
+
+  if (!isConnected || isSupportedChain(chainId)) return null
+
+  const target = getChain(DEFAULT_CHAIN_ID)
+
+  return (
+    <div className="network-guard">
+      <div className="guard-icon-wrap">!</div>
+      <div className="guard-text">
+        <span className="guard-title">Unsupported Network</span>
+        <span className="guard-body">
+          Your wallet is on {getChain(chainId).name}. Switch to a supported network to continue.
+        </span>
+      </div>
+      <button
+        className="guard-btn"
+        onClick={() => switchChain(DEFAULT_CHAIN_ID)}
+        disabled={switchingChain}
+      >
+        {switchingChain ? 'Switching...' : `Switch to ${target.shortName}`}
+      </button>
+    </div>
+  )
+}
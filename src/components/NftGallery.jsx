@@ -0,0 +1,267 @@
+// src/components/NftGallery.jsx
+// ─────────────────────────────────────────────────────────────
+// NFT gallery for the viewed address.
+//
+// Collections are added by contract address (store/nftStore.js);
+// the gallery then lists the ids the address holds in the
+// selected one and loads each token's metadata + image
+// (lib/nft.js). Works for ERC-721 and ERC-1155.
+//
+// "Send" hands the NFT to SendEth, which transfers it with
+// safeTransferFrom() like any other send.
+// ─────────────────────────────────────────────────────────────
+
+import { useState, useEffect } from 'react'
+import { useWalletStore } from '../store/walletStore'
+import { useNftStore, collectionsForChain } from '../store/nftStore'
+import { getChain, isSupportedChain } from '../config/chains'
+import { findOwnedNfts, loadNftMetadata, STANDARD_LABELS } from '../lib/nft'
+import './NftGallery.css'
+
+// Helper: long ids (hashes as ids are common) → "#1234…5678"
+const formatId = (id) => {
+  const text = id.toString()
+  return text.length > 12 ? `#${text.slice(0, 6)}…${text.slice(-4)}` : `#${text}`
+}
+
+// ── NftTile ───────────────────────────────────────────────────
+// One token: loads its metadata when shown.
+function NftTile({ chainId, collection, nft, canSend, onSend }) {
+  const { address: collectionAddress, standard } = collection
+  const key = `${chainId}:${collectionAddress}:${nft.id}`
+  const [meta, setMeta]     = useState(null)   // { key, data } or { key, error }
+  const [broken, setBroken] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    const load = async () => {
+      const provider = useWalletStore.getState().getReadProvider(chainId)
+      return loadNftMetadata(provider, chainId, collectionAddress, standard, nft.id)
+    }
+    load()
+      .then(data => { if (!cancelled) setMeta({ key, data }) })
+      .catch(err => { if (!cancelled) setMeta({ key, error: err.shortMessage || err.message }) })
+    return () => { cancelled = true }
+  }, [key, chainId, collectionAddress, standard, nft.id])
+
+  const current = meta?.key === key ? meta : null
+  const data    = current?.data ?? null
+  const label   = data?.name || `${collection.name || collection.symbol || 'Token'} ${formatId(nft.id)}`
+
+  return (
+    <div className="nft-tile">
+      <div className="nft-image-wrap">
+        {data?.image && !broken ? (
+          <img className="nft-image" src={data.image} alt={label} loading="lazy" onError={() => setBroken(true)} />
+        ) : (
+          <span className="nft-image-placeholder" title={current?.error}>
+            {!current ? 'Loading…' : current.error ? 'No metadata' : 'No image'}
+          </span>
+        )}
+        {nft.balance > 1n && <span className="nft-balance">×{nft.balance.toString()}</span>}
+      </div>
+      <div className="nft-tile-info">
+        <span className="nft-tile-name" title={data?.description || undefined}>{label}</span>
+        <span className="nft-tile-id">{formatId(nft.id)}</span>
+      </div>
+      {canSend && (
+        <button className="nft-btn" onClick={() => onSend({ ...nft, label })}>Send</button>
+      )}
+    </div>
+  )
+}
+
+export default function NftGallery() {
+  const address          = useWalletStore(s => s.address)
+  const isConnected      = useWalletStore(s => s.status === 'connected')
+  const chainId          = useWalletStore(s => s.chainId)
+  const owner            = useWalletStore(s => s.viewAddress || s.address)
+  const allCollections   = useNftStore(s => s.collections)
+  const holdingsVersion  = useNftStore(s => s.holdingsVersion)
+  const addCollection    = useNftStore(s => s.addCollection)
+  const removeCollection = useNftStore(s => s.removeCollection)
+  const pickForTransfer  = useNftStore(s => s.pickForTransfer)
+
+  const chain        = getChain(chainId)
+  const collections  = collectionsForChain(allCollections, chain.id)
+  const wrongNetwork = isConnected && !isSupportedChain(chainId)
+
+  const [newCollection, setNewCollection] = useState('')
+  const [adding, setAdding]               = useState(false)
+  const [formError, setFormError]         = useState(null)
+
+  // The open collection — falls back to the first one after a chain switch or removal
+  const [selected, setSelected] = useState(null)
+  const collection = collections.find(c => c.address === selected) ?? collections[0] ?? null
+
+  // ── Holdings of the open collection ──────────────────────────
+  const [holdings, setHoldings] = useState(null)   // { key, items } or { key, error }
+  const [progress, setProgress] = useState(null)   // { key, from, to, current }
+  const [refresh, setRefresh]   = useState(0)
+
+  const collectionAddress  = collection?.address ?? null
+  const collectionStandard = collection?.standard ?? null
+  const loadKey = collection && owner
+    ? `${chain.id}:${collectionAddress}:${owner}:${refresh}:${holdingsVersion}`
+    : null
+
+  useEffect(() => {
+    if (!loadKey) return
+
+    let cancelled = false
+    const load = async () => {
+      const provider = useWalletStore.getState().getReadProvider(chain.id)
+      return findOwnedNfts(provider, chain.id, collectionAddress, collectionStandard, owner, {
+        onProgress: (p) => { if (!cancelled) setProgress({ key: loadKey, ...p }) },
+      })
+    }
+    load()
+      .then(items => { if (!cancelled) setHoldings({ key: loadKey, items }) })
+      .catch(err => {
+        if (!cancelled) setHoldings({ key: loadKey, error: `Could not read transfers: ${err.shortMessage || err.message}` })
+      })
+    return () => { cancelled = true }
+  }, [loadKey, chain.id, collectionAddress, collectionStandard, owner])
+
+  const current = holdings?.key === loadKey ? holdings : null
+  const loading = Boolean(loadKey) && !current
+  const scan    = loading && progress?.key === loadKey ? progress : null
+
+  // Only the connected wallet can send its own NFTs
+  const canSend = isConnected && !wrongNetwork && owner?.toLowerCase() === address?.toLowerCase()
+
+  const handleAdd = async () => {
+    setAdding(true)
+    try {
+      const added = await addCollection(chain.id, newCollection)
+      setSelected(added.address)
+      setNewCollection('')
+      setFormError(null)
+    } catch (err) {
+      setFormError(err.message)
+    } finally {
+      setAdding(false)
+    }
+  }
+
+  // Fill in SendEth and bring it into view
+  const sendNft = (nft) => {
+    pickForTransfer({
+      chainId:    chain.id,
+      owner:      address,
+      collection: collection.address,
+      standard:   collection.standard,
+      id:         nft.id,
+      balance:    nft.balance,
+      label:      nft.label,
+    })
+    document.querySelector('.send-card')?.scrollIntoView({ behavior: 'smooth' })
+  }
+
+  return (
+    <div className="nft-card">
+
+      <div className="nft-header">
+        <div className="nft-header-left">
+          <span className="nft-icon">▦</span>
+          <span className="nft-title">NFTs</span>
+        </div>
+        {current?.items && (
+          <span className="nft-count">{current.items.length} held</span>
+        )}
+      </div>
+
+      <div className="nft-body">
+
+        {/* ── Collections ── */}
+        {collections.length > 0 && (
+          <div className="nft-collections">
+            {collections.map(c => (
+              <div key={c.address} className={`nft-chip ${c.address === collection?.address ? 'active' : ''}`}>
+                <button className="nft-chip-name" onClick={() => setSelected(c.address)} title={c.address}>
+                  {c.name || c.symbol || `${c.address.slice(0, 6)}...${c.address.slice(-4)}`}
+                  <span className="nft-chip-standard">{STANDARD_LABELS[c.standard]}</span>
+                </button>
+                <button
+                  className="nft-chip-remove"
+                  onClick={() => removeCollection(c.chainId, c.address)}
+                  title="Remove collection"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="nft-form">
+          <span className="nft-section-label">Add a collection on {chain.name}</span>
+          <div className="nft-form-row">
+            <input
+              className="field-input"
+              type="text"
+              placeholder="0x... (ERC-721 or ERC-1155 contract)"
+              value={newCollection}
+              onChange={e => { setNewCollection(e.target.value); setFormError(null) }}
+              onKeyDown={e => e.key === 'Enter' && newCollection && !adding && handleAdd()}
+              disabled={adding}
+              spellCheck={false}
+            />
+            <button className="nft-add-btn" onClick={handleAdd} disabled={!newCollection || adding}>
+              {adding ? 'Checking…' : 'Add'}
+            </button>
+          </div>
+          {formError && <span className="nft-error">{formError}</span>}
+        </div>
+
+        {/* ── Holdings ── */}
+        {!owner && collections.length > 0 && (
+          <p className="nft-empty">Connect your wallet or view a watched address to see its NFTs.</p>
+        )}
+
+        {collection && owner && (
+          <>
+            <div className="nft-holdings-row">
+              <span className="nft-section-label">
+                {collection.name || collection.symbol || 'Collection'} · {STANDARD_LABELS[collection.standard]}
+              </span>
+              <button className="nft-btn" onClick={() => setRefresh(n => n + 1)} disabled={loading}>
+                ↻ Refresh
+              </button>
+            </div>
+
+            {loading && (
+              <span className="nft-progress">
+                {scan
+                  ? `Reading transfers · block ${scan.current.toLocaleString('en-US')} of ${scan.to.toLocaleString('en-US')}`
+                  : 'Reading transfers…'}
+              </span>
+            )}
+
+            {current?.error && <span className="nft-error">{current.error}</span>}
+
+            {current?.items?.length === 0 && (
+              <p className="nft-empty">No tokens from this collection in this address.</p>
+            )}
+
+            {current?.items?.length > 0 && (
+              <div className="nft-grid">
+                {current.items.map(nft => (
+                  <NftTile
+                    key={nft.id.toString()}
+                    chainId={chain.id}
+                    collection={collection}
+                    nft={nft}
+                    canSend={canSend}
+                    onSend={sendNft}
+                  />
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+      </div>
+    </div>
+  )
+}
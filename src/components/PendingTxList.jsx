@@ -0,0 +1,119 @@
+// src/components/PendingTxList.jsx
+// ─────────────────────────────────────────────────────────────
+// Transactions this app submitted that are still pending — or
+// ended in something other than a normal confirmation (replaced,
+// cancelled, dropped, failed). Confirmed ones drop off the list
+// because the explorer feed below shows them anyway.
+//
+// The list comes from the persisted queue in txStore.js, so it
+// survives page reloads.
+//
+// Pending rows offer "Speed up" and "Cancel", both of which
+// send a replacement with the same nonce (see txStore.js).
+// ─────────────────────────────────────────────────────────────
+
+import { useState } from 'react'
+import { useTxStore } from '../store/txStore'
+import { explorerTxUrl } from '../config/chains'
+import './PendingTxList.css'
+
+// Human labels for how a transaction ended
+const STATUS_LABELS = {
+  pending:   'Pending',
+  failed:    'Failed',
+  repriced:  'Sped up',
+  cancelled: 'Cancelled',
+  replaced:  'Replaced',
+  dropped:   'Dropped',
+}
+
+// Helper: shorten a hash for display
+const shortHash = (hash) => `${hash.slice(0, 10)}...${hash.slice(-6)}`
+
+export default function PendingTxList({ address, chainId }) {
+  const pending   = useTxStore(s => s.pending)
+  const speedUp   = useTxStore(s => s.speedUp)
+  const cancel    = useTxStore(s => s.cancel)
+  const dismissTx = useTxStore(s => s.dismissTx)
+
+  const [busyHash, setBusyHash] = useState(null)
+  const [error, setError]       = useState(null)
+
+  const rows = pending.filter(p =>
+    p.chainId === chainId &&
+    p.from.toLowerCase() === address?.toLowerCase() &&
+    p.status !== 'confirmed'
+  )
+
+  if (rows.length === 0) return null
+
+  // Runs speedUp/cancel, showing errors except "user rejected"
+  const replace = async (action, hash) => {
+    setBusyHash(hash)
+    setError(null)
+    try {
+      await action(hash)
+    } catch (err) {
+      if (err.code !== 4001 && err.code !== 'ACTION_REJECTED')
+        setError(err.shortMessage || err.message || 'Could not send the replacement transaction.')
+    } finally {
+      setBusyHash(null)
+    }
+  }
+
+  return (
+    <div className="pending-list">
+      {rows.map(tx => {
+        const url = explorerTxUrl(tx.chainId, tx.hash)
+        return (
+          <div key={tx.hash} className={`pending-row status-${tx.status}`}>
+            <div className="pending-info">
+              <span className="pending-title">
+                {tx.description || 'Transaction'}
+                <span className="pending-nonce">nonce {tx.nonce}</span>
+              </span>
+              <span className="pending-hash">
+                {url
+                  ? <a href={url} target="_blank" rel="noopener noreferrer">{shortHash(tx.hash)} ↗</a>
+                  : shortHash(tx.hash)}
+                {tx.replacedBy && <> → {shortHash(tx.replacedBy)}</>}
+              </span>
+            </div>
+
+            <span className={`pending-badge badge-${tx.status}`}>
+              {tx.status === 'pending' && <span className="status-spinner" />}
+              {STATUS_LABELS[tx.status] ?? tx.status}
+            </span>
+
+            <div className="pending-actions">
+              {tx.status === 'pending' ? (
+                <>
+                  <button
+                    className="pending-btn"
+                    onClick={() => replace(speedUp, tx.hash)}
+                    disabled={busyHash === tx.hash}
+                  >
+                    Speed up
+                  </button>
+                  <button
+                    className="pending-btn danger"
+                    onClick={() => replace(cancel, tx.hash)}
+                    disabled={busyHash === tx.hash}
+                  >
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button className="pending-btn" onClick={() => dismissTx(tx.hash)} title="Dismiss">
+                  ✕
+                </button>
+              )}
+            </div>
+          </div>
+        )
+      })}
+
+      {error && <span className="pending-error">{error}</span>}
+    </div>
+  )
+}
@@ -0,0 +1,421 @@
+// src/components/Portfolio.jsx
+// ─────────────────────────────────────────────────────────────
+// Watch-only addresses + a portfolio view.
+//
+// Tracks the connected wallet plus any number of labelled
+// watch-only addresses (treasury, deployer…) that never sign
+// from this browser. For each one we show the native balance,
+// and "View" points TxHistory + TokenChecker at it.
+//
+// The holdings table sums native + watched token balances
+// across every tracked address on the current chain. Tokens are
+// watched per chain (store/tokenStore.js): presets, tokens added
+// by address, and imported token lists.
+//
+// All reads go through the store's read provider, so this works
+// without a wallet installed.
+// ─────────────────────────────────────────────────────────────
+
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { ethers } from 'ethers'
+import { useWalletStore } from '../store/walletStore'
+import { useTokenStore } from '../store/tokenStore'
+import { useWatchedTokens } from '../hooks/useWatchedTokens'
+import { getChain } from '../config/chains'
+import { ERC20_ABI } from '../config/abis'
+import { aggregate3 } from '../lib/multicall'
+import { resolveUri } from '../lib/ipfs'
+import './Portfolio.css'
+
+const erc20 = new ethers.Interface(ERC20_ABI)
+
+// Helper: shorten address for display
+const short = (addr) => addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : '—'
+
+// Helper: format a raw amount with the given decimals e.g. "1,234.5678"
+const formatAmount = (raw, decimals) =>
+  parseFloat(ethers.formatUnits(raw, decimals)).toLocaleString('en-US', { maximumFractionDigits: 4 })
+
+// ── loadHoldings() ────────────────────────────────────────────
+// Reads native + token balances for every address in one go:
+//   - native balances: one getBalance each, batched by the read provider
+//   - token balances:  ONE Multicall3 aggregate3 call for every
+//                      address × token (lib/multicall.js)
+// A token whose balanceOf reverts (or isn't a contract) gets null
+// balances instead of failing the whole table.
+const loadHoldings = async (provider, chainId, addresses, tokens) => {
+  const calls = addresses.flatMap(address => tokens.map(token => ({
+    target:   token.address,
+    callData: erc20.encodeFunctionData('balanceOf', [address]),
+  })))
+
+  const [natives, results] = await Promise.all([
+    Promise.all(addresses.map(address => provider.getBalance(address))),
+    aggregate3(provider, chainId, calls),
+  ])
+
+  // Helper: one call's result → bigint, or null if it failed
+  const decodeBalance = ({ success, returnData }) => {
+    if (!success) return null
+    try {
+      return erc20.decodeFunctionResult('balanceOf', returnData)[0]
+    } catch {
+      return null   // "0x" — no contract at that address
+    }
+  }
+
+  const balances = addresses.map((address, a) => ({
+    address,
+    native: natives[a],
+    tokens: tokens.map((_, t) => decodeBalance(results[a * tokens.length + t])),
+  }))
+
+  return { tokens, balances }
+}
+
+// A token's logo (from its token list), hidden if it fails to load
+function TokenLogo({ token }) {
+  const [broken, setBroken] = useState(false)
+  const src = resolveUri(token.logoURI)
+  if (!src || broken) return <span className="pf-token-logo placeholder">{token.symbol.slice(0, 1)}</span>
+  return <img className="pf-token-logo" src={src} alt="" onError={() => setBroken(true)} />
+}
+
+export default function Portfolio() {
+  const address            = useWalletStore(s => s.address)
+  const chainId            = useWalletStore(s => s.chainId)
+  const watchlist          = useWalletStore(s => s.watchlist)
+  const viewAddress        = useWalletStore(s => s.viewAddress)
+  const addWatchAddress    = useWalletStore(s => s.addWatchAddress)
+  const removeWatchAddress = useWalletStore(s => s.removeWatchAddress)
+  const setViewAddress     = useWalletStore(s => s.setViewAddress)
+  const addToken           = useTokenStore(s => s.addToken)
+  const removeToken        = useTokenStore(s => s.removeToken)
+  const importTokenList    = useTokenStore(s => s.importTokenList)
+
+  const chain  = getChain(chainId)
+  const symbol = chain.nativeCurrency.symbol
+  const tokens = useWatchedTokens(chainId)
+
+  const [newAddress, setNewAddress] = useState('')
+  const [newLabel, setNewLabel]     = useState('')
+  const [formError, setFormError]   = useState(null)
+  const [holdings, setHoldings]     = useState(null)   // { key, refresh, tokens, balances } or { key, refresh, error }
+  const [refresh, setRefresh]       = useState(0)
+  const [openRows, setOpenRows]     = useState([])     // addresses whose token balances are shown
+
+  // ── Token watchlist form ─────────────────────────────────────
+  const [newToken, setNewToken]       = useState('')
+  const [addingToken, setAddingToken] = useState(false)
+  const [tokenNotice, setTokenNotice] = useState(null)   // { ok, text } add/import result
+  const fileInput = useRef(null)
+
+  // Connected wallet first, then watch-only addresses (no duplicates)
+  const tracked = useMemo(() => [
+    ...(address ? [{ address, label: 'Connected wallet', isWallet: true }] : []),
+    ...watchlist.filter(w => w.address.toLowerCase() !== address?.toLowerCase()),
+  ], [address, watchlist])
+
+  // Reload whenever the tracked addresses, watched tokens or the chain
+  // change (or on refresh). Results are kept with the key they were
+  // loaded for, so a slow answer for an earlier set is never shown.
+  const trackedKey  = tracked.map(t => t.address).join(',')
+  const tokensKey   = tokens.map(t => t.address).join(',')
+  const holdingsKey = tracked.length > 0 ? `${chain.id}:${trackedKey}:${tokensKey}` : null
+
+  useEffect(() => {
+    if (!holdingsKey) return
+
+    let cancelled = false
+    const load = async () => {
+      try {
+        const provider = useWalletStore.getState().getReadProvider(chain.id)
+        const result   = await loadHoldings(provider, chain.id, tracked.map(t => t.address), tokens)
+        if (!cancelled) setHoldings({ key: holdingsKey, refresh, ...result })
+      } catch {
+        if (!cancelled) setHoldings({ key: holdingsKey, refresh, error: 'Could not load balances. Check your RPC connection and try again.' })
+      }
+    }
+    load()
+    return () => { cancelled = true }
+  }, [holdingsKey, refresh, chain.id, tracked, tokens])
+
+  // A refresh keeps showing the current balances until the new ones arrive
+  const current = holdings?.key === holdingsKey ? holdings : null
+  const loading = Boolean(holdingsKey) && current?.refresh !== refresh
+  const error   = current?.error ?? null
+
+  const handleAdd = () => {
+    try {
+      addWatchAddress(newAddress.trim(), newLabel)
+      setNewAddress('')
+      setNewLabel('')
+      setFormError(null)
+    } catch (err) {
+      setFormError(err.message)
+    }
+  }
+
+  // ── Token watchlist ──────────────────────────────────────────
+  const handleAddToken = async () => {
+    setAddingToken(true)
+    setTokenNotice(null)
+    try {
+      const token = await addToken(chain.id, newToken)
+      setNewToken('')
+      setTokenNotice({ ok: true, text: `Watching ${token.symbol}.` })
+    } catch (err) {
+      setTokenNotice({ ok: false, text: err.message })
+    } finally {
+      setAddingToken(false)
+    }
+  }
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''   // allow re-importing the same file
+    if (!file) return
+
+    try {
+      const { name, added } = importTokenList(await file.text())
+      setTokenNotice({ ok: true, text: `Imported ${name}: ${added} new token${added === 1 ? '' : 's'}.` })
+    } catch (err) {
+      setTokenNotice({ ok: false, text: err.message })
+    }
+  }
+
+  // Native balance for one address, or null while loading
+  const nativeOf = (addr) => current?.balances?.find(b => b.address === addr)?.native ?? null
+
+  // One address's watched-token balances it actually holds:
+  // [{ token, balance }] — zero and failed reads are left out
+  const tokensOf = (addr) => {
+    const balances = current?.balances?.find(b => b.address === addr)?.tokens ?? []
+    return current.tokens
+      .map((token, i) => ({ token, balance: balances[i] }))
+      .filter(t => t.balance != null && t.balance > 0n)
+  }
+
+  const toggleRow = (addr) =>
+    setOpenRows(prev => (prev.includes(addr) ? prev.filter(a => a !== addr) : [...prev, addr]))
+
+  // ── Totals across every tracked address ──────────────────────
+  // A token whose balanceOf failed for EVERY address has no total
+  // (null) — it shows as "—" rather than a misleading 0.
+  const sumOf = (values) => values.every(v => v === null) ? null : values.reduce((sum, v) => sum + (v ?? 0n), 0n)
+
+  const totals = current?.balances && [
+    {
+      symbol,
+      decimals: chain.nativeCurrency.decimals,
+      total:    current.balances.reduce((sum, b) => sum + b.native, 0n),
+    },
+    ...current.tokens.map((token, i) => ({
+      token,
+      symbol:   token.symbol,
+      decimals: token.decimals,
+      total:    sumOf(current.balances.map(b => b.tokens[i])),
+    })),
+  ]
+
+  return (
+    <div className="pf-card">
+
+      <div className="pf-header">
+        <div className="pf-header-left">
+          <span className="pf-icon">◧</span>
+          <span className="pf-title">Portfolio</span>
+        </div>
+        <div className="pf-header-right">
+          <span className="pf-count">{tracked.length} addresses</span>
+          <button
+            className="refresh-btn"
+            onClick={() => setRefresh(r => r + 1)}
+            disabled={loading || tracked.length === 0}
+            title="Refresh"
+          >
+            <span className={loading ? 'spin' : ''}>↻</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="pf-body">
+
+        {/* Tracked addresses */}
+        {tracked.length > 0 && (
+          <div className="pf-list">
+            {tracked.map(entry => {
+              const native    = nativeOf(entry.address)
+              const isViewing = entry.isWallet ? !viewAddress : viewAddress === entry.address
+              const held      = current?.balances ? tokensOf(entry.address) : null
+              const isOpen    = held !== null && openRows.includes(entry.address)
+
+              return (
+                <div key={entry.address} className={`pf-row ${isViewing ? 'viewing' : ''}`}>
+                  <div className="pf-row-info">
+                    <span className="pf-row-label">
+                      {entry.label}
+                      {!entry.isWallet && <span className="pf-watch-tag">watch-only</span>}
+                    </span>
+                    <span className="pf-row-address" title={entry.address}>{short(entry.address)}</span>
+                  </div>
+                  <span className="pf-row-balance">
+                    {native === null ? '…' : `${formatAmount(native, chain.nativeCurrency.decimals)} ${symbol}`}
+                  </span>
+                  <div className="pf-row-actions">
+                    {held !== null && current.tokens.length > 0 && (
+                      <button
+                        className={`pf-btn ${isOpen ? 'open' : ''}`}
+                        onClick={() => toggleRow(entry.address)}
+                        title="Watched token balances of this address"
+                      >
+                        Tokens ({held.length})
+                      </button>
+                    )}
+                    <button
+                      className="pf-btn"
+                      onClick={() => setViewAddress(entry.isWallet ? null : entry.address)}
+                      disabled={isViewing}
+                      title="Show this address in Transaction History and Token Checker"
+                    >
+                      {isViewing ? 'Viewing' : 'View'}
+                    </button>
+                    {!entry.isWallet && (
+                      <button
+                        className="pf-btn remove"
+                        onClick={() => removeWatchAddress(entry.address)}
+                        title="Stop watching"
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+
+                  {isOpen && (
+                    <div className="pf-row-tokens">
+                      {held.length === 0 ? (
+                        <span className="pf-row-tokens-empty">No balance in any watched token.</span>
+                      ) : held.map(({ token, balance }) => (
+                        <div key={token.address} className="pf-row-token">
+                          <span className="pf-total-symbol">
+                            <TokenLogo token={token} />
+                            {token.symbol}
+                          </span>
+                          <span className="pf-row-token-value">{formatAmount(balance, token.decimals)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {/* Totals */}
+        {error && (
+          <div className="tx-error-box">
+            <div className="error-icon-wrap">!</div>
+            <div className="error-text">
+              <span className="error-title">Could Not Load Balances</span>
+              <span className="error-body">{error}</span>
+            </div>
+          </div>
+        )}
+
+        {totals && !error && (
+          <div className="pf-totals">
+            <span className="pf-section-label">Total holdings ({chain.shortName})</span>
+            {totals.map((t, i) => (
+              <div key={t.token?.address ?? 'native'} className={`pf-total-row ${t.total === null ? 'failed' : ''}`}>
+                <span className="pf-total-symbol">
+                  {t.token && <TokenLogo token={t.token} />}
+                  {t.symbol}
+                  {t.token?.name && <span className="pf-total-name">{t.token.name}</span>}
+                </span>
+                <span
+                  className="pf-total-value"
+                  title={t.total === null ? 'balanceOf failed — this may not be an ERC-20 token on this network' : undefined}
+                >
+                  {t.total === null ? '—' : formatAmount(t.total, t.decimals)}
+                </span>
+                {i > 0 && (
+                  <button
+                    className="pf-token-remove"
+                    onClick={() => removeToken(chain.id, t.token.address)}
+                    title="Stop watching this token"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Watch a token — by address, or a whole token list */}
+        <div className="pf-add">
+          <span className="pf-section-label">Watch a token ({chain.shortName})</span>
+          <div className="pf-add-row">
+            <input
+              className="field-input"
+              type="text"
+              placeholder="0x... (ERC20 contract address)"
+              value={newToken}
+              onChange={e => { setNewToken(e.target.value); setTokenNotice(null) }}
+              disabled={addingToken}
+              spellCheck={false}
+            />
+            <button className="pf-add-btn" onClick={handleAddToken} disabled={!newToken || addingToken}>
+              {addingToken ? '…' : 'Add'}
+            </button>
+            <button
+              className="pf-add-btn secondary"
+              onClick={() => fileInput.current?.click()}
+              title="Import a token list JSON (tokenlists.org format)"
+            >
+              Import list
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              hidden
+            />
+          </div>
+          {tokenNotice && (
+            <span className={tokenNotice.ok ? 'pf-form-notice' : 'pf-form-error'}>{tokenNotice.text}</span>
+          )}
+        </div>
+
+        {/* Add a watch-only address */}
+        <div className="pf-add">
+          <span className="pf-section-label">Watch an address</span>
+          <div className="pf-add-row">
+            <input
+              className="field-input"
+              type="text"
+              placeholder="0x..."
+              value={newAddress}
+              onChange={e => { setNewAddress(e.target.value); setFormError(null) }}
+              spellCheck={false}
+            />
+            <input
+              className="field-input pf-label-input"
+              type="text"
+              placeholder="Label e.g. Treasury"
+              value={newLabel}
+              onChange={e => setNewLabel(e.target.value)}
+            />
+            <button className="pf-add-btn" onClick={handleAdd} disabled={!newAddress}>
+              Add
+            </button>
+          </div>
+          {formError && <span className="pf-form-error">{formError}</span>}
+        </div>
+
+      </div>
+    </div>
+  )
+}
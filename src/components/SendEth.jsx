@@ -1,11 +1,58 @@
 // src/components/SendEth.jsx
 
-import { useState } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { ethers } from 'ethers'
 import { useWalletStore } from '../store/walletStore'
+import { useTxStore } from '../store/txStore'
+import { useNftStore } from '../store/nftStore'
+import { getChain, explorerTxUrl, isSupportedChain } from '../config/chains'
+import { ERC20_ABI } from '../config/abis'
+import { useEnsAddress } from '../hooks/useEns'
+import { useAddressLabel } from '../hooks/useAddressLabel'
+import { useWatchedTokens } from '../hooks/useWatchedTokens'
+import { contactsForChain } from '../lib/addressBook'
+import { getTokenMeta } from '../lib/tokenMeta'
+import { nftTransferCall, STANDARD_LABELS } from '../lib/nft'
+import { amountError } from '../lib/payouts'
+import { FEE_SPEEDS, fetchFeeSuggestions, estimateGasLimit, resolveFees, maxFeeCost, expectedFeeCost } from '../lib/fees'
+import NetworkGuard from './NetworkGuard'
+import BatchSend from './BatchSend'
 import './SendEth.css'
 
-const STAGES = { IDLE: 'idle', CONFIRMING: 'confirming', MINING: 'mining', SUCCESS: 'success', ERROR: 'error' }
+const STAGES = { IDLE: 'idle', CONFIRMING: 'confirming', MINING: 'mining', SUCCESS: 'success', REPLACED: 'replaced', ERROR: 'error' }
+
+// Asset selector values besides a token address
+const NATIVE = 'native'
+const CUSTOM = 'custom'
+const NFT    = 'nft'      // the NFT picked in the gallery (store/nftStore.js)
+
+const erc20 = new ethers.Interface(ERC20_ABI)
+
+// Helper: wei → readable native amount for fee display
+const formatFee = (wei, decimals) => parseFloat(ethers.formatUnits(wei, decimals)).toFixed(6)
+
+// Helper: NFT quantity → bigint, or null unless a whole number ≥ 1
+const parseNftAmount = (value) => {
+  const text = value.trim()
+  return /^\d+$/.test(text) && BigInt(text) > 0n ? BigInt(text) : null
+}
+
+// Helper: wei → gwei string for input placeholders e.g. "1.5"
+const toGwei = (wei) => (wei == null ? '' : parseFloat(ethers.formatUnits(wei, 'gwei')).toFixed(2))
+
+// ── loadToken() ───────────────────────────────────────────────
+// Reads what we need to send an ERC20: its symbol, its decimals
+// (both cached — see lib/tokenMeta.js) and the sender's balance.
+// Goes through the read provider.
+const loadToken = async (tokenAddress, owner) => {
+  const { chainId, getReadProvider } = useWalletStore.getState()
+  const contract = new ethers.Contract(tokenAddress, ERC20_ABI, getReadProvider())
+  const [{ symbol, decimals }, balance] = await Promise.all([
+    getTokenMeta(chainId, tokenAddress),
+    contract.balanceOf(owner),
+  ])
+  return { address: tokenAddress, symbol, decimals, balance }
+}
 
 // ── friendlyError() ───────────────────────────────────────────
 // Ethers throws raw blockchain errors that are ugly and technical.
@@ -23,7 +70,7 @@ const friendlyError = (err) => {
     return 'Invalid recipient address. Double-check it starts with 0x and is 42 characters.'
 
   if (msg.includes('network') || msg.includes('could not detect'))
-    return 'Network error. Check your MetaMask is on Sepolia and try again.'
+    return 'Network error. Check your MetaMask is on the right network and try again.'
 
   if (msg.includes('nonce'))
     return 'Transaction conflict. Try again in a few seconds.'
@@ -36,23 +83,222 @@ const friendlyError = (err) => {
 
 export default function SendEth() {
   const isConnected = useWalletStore(s => s.status === 'connected')
+  const address     = useWalletStore(s => s.address)
   const balance     = useWalletStore(s => s.balance)
+  const rawBalance  = useWalletStore(s => s.rawBalance)
+  const chainId     = useWalletStore(s => s.chainId)
+  const addressBook = useWalletStore(s => s.addressBook)
+
+  // Native currency of the current chain e.g. ETH on Sepolia, POL on Polygon
+  const chain  = getChain(chainId)
+  const symbol = chain.nativeCurrency.symbol
+
+  // ERC20s to offer in the asset picker (store/tokenStore.js)
+  const watchedTokens = useWatchedTokens(chainId)
+
+  // NFT handed over by the gallery's "Send" button
+  const nftPick = useNftStore(s => s.transferPick)
+
+  // Required-chain guard — no sending until the wallet is on a supported network
+  const wrongNetwork = isConnected && !isSupportedChain(chainId)
 
   const [toAddress, setToAddress] = useState('')
   const [amount, setAmount]       = useState('')
   const [stage, setStage]         = useState(STAGES.IDLE)
+  const [batchMode, setBatchMode] = useState(false)   // CSV payouts — see BatchSend.jsx
   const [txHash, setTxHash]       = useState(null)
   const [errorMsg, setErrorMsg]   = useState(null)
 
+  // The recipient field takes a 0x address or an ENS name.
+  // `recipient` is the address we actually send to (null until valid/resolved).
+  const ens       = useEnsAddress(toAddress)
+  const recipient = ens.address
+
+  // Address book: autocomplete + the label of a known recipient
+  const contacts       = contactsForChain(addressBook, chainId)
+  const recipientLabel = useAddressLabel(recipient)
+  const [saveLabel, setSaveLabel] = useState('')     // "save this recipient" after success
+  const [saveError, setSaveError] = useState(null)
+
+  // ── Pending transaction (MINING stage) ───────────────────────
+  const [pendingHash, setPendingHash] = useState(null)   // hash we're waiting on
+  const [outcome, setOutcome]         = useState(null)   // null | 'repriced' | 'cancelled' | 'replaced'
+  const [replacing, setReplacing]     = useState(false)  // speed up / cancel popup open
+
+  // ── Asset selection ──────────────────────────────────────────
+  // asset: NATIVE, a watched token address, or CUSTOM (paste an address)
+  const [assetChoice, setAssetChoice]     = useState(NATIVE)
+  const [customAddress, setCustomAddress] = useState('')
+  const [loaded, setLoaded]               = useState(null)   // { key, info } or { key, error }
+
+  // A new pick from the gallery selects it (adjusting state
+  // during render — see "storing information from previous renders")
+  const [seenPick, setSeenPick] = useState(nftPick)
+  if (nftPick !== seenPick) {
+    setSeenPick(nftPick)
+    if (nftPick) { setAssetChoice(NFT); setAmount(''); setErrorMsg(null) }
+  }
+
+  // The picked NFT only applies to its chain and owner
+  const nft = nftPick && nftPick.chainId === chain.id && nftPick.owner === address ? nftPick : null
+
+  // Watched tokens belong to one chain — after a chain switch
+  // a stale choice falls back to the native currency
+  const asset = assetChoice === CUSTOM || watchedTokens.some(t => t.address === assetChoice) || (assetChoice === NFT && nft)
+    ? assetChoice
+    : NATIVE
+
+  const isNft        = asset === NFT
+  const isToken      = asset !== NATIVE && !isNft
+  const tokenAddress = !isToken ? null
+    : asset === CUSTOM ? (ethers.isAddress(customAddress.trim()) ? customAddress.trim() : null)
+    : asset
+
+  // ERC-721 ids are unique — there's no amount to choose
+  const fixedAmount = isNft && nft.standard === 'erc721'
+  const sendAmount  = fixedAmount ? '1' : amount
+
+  // Only trust loaded token info if it matches the current token/account/chain
+  const tokenKey   = tokenAddress && address ? `${chainId}:${tokenAddress}:${address}` : null
+  const token      = loaded?.key === tokenKey ? loaded.info ?? null : null
+  const tokenError = loaded?.key === tokenKey ? loaded.error ?? null : null
+  const sendSymbol = isNft ? nft.label : isToken ? (token?.symbol ?? 'Token') : symbol
+
+  // Load symbol/decimals/balance whenever the token, account or chain changes
+  useEffect(() => {
+    if (!tokenKey) return
+
+    let cancelled = false
+    loadToken(tokenAddress, address)
+      .then(info => { if (!cancelled) setLoaded({ key: tokenKey, info }) })
+      .catch(() => {
+        if (!cancelled) setLoaded({ key: tokenKey, error: 'Could not read this token. Is it an ERC20 contract on this network?' })
+      })
+    return () => { cancelled = true }
+  }, [tokenKey, tokenAddress, address])
+
+  // ── Network fee ──────────────────────────────────────────────
+  // We estimate the gas limit for the exact call we're about to
+  // send and price it with recent fee history (eth_feeHistory).
+  const [speed, setSpeed]               = useState('normal')
+  const [showAdvanced, setShowAdvanced] = useState(false)
+  const [custom, setCustom]             = useState({ maxFee: '', priorityFee: '', gasLimit: '' })
+  const [feeQuote, setFeeQuote]         = useState(null)   // { key, suggestions, gasLimit } or { key, error }
+  const [feeRefresh, setFeeRefresh]     = useState(0)      // bump to re-quote
+
+  // The call we'd send right now, for estimateGas().
+  // Native: the typed value (0 if it isn't valid yet) — a contract
+  // recipient's fallback may branch on msg.value.
+  // Tokens: a transfer() with the typed amount (0 if it isn't valid yet).
+  // NFTs: safeTransferFrom() with the typed quantity (1 if it isn't valid yet).
+  const nativeDecimals = chain.nativeCurrency.decimals
+  const estimateCall = useMemo(() => {
+    if (!isConnected || wrongNetwork || !recipient) return null
+    if (isNft) {
+      let quantity = parseNftAmount(sendAmount) ?? 1n
+      if (quantity > nft.balance) quantity = 1n
+      return { from: address, ...nftTransferCall(nft, address, recipient, quantity) }
+    }
+    if (!isToken) {
+      let value = 0n
+      try { value = ethers.parseUnits(amount || '0', nativeDecimals) } catch { /* keep 0 */ }
+      if (rawBalance == null || value > rawBalance) value = 0n
+      return { from: address, to: recipient, value }
+    }
+    if (!token) return null
+    let rawAmount = 0n
+    try { rawAmount = ethers.parseUnits(amount || '0', token.decimals) } catch { /* keep 0 */ }
+    if (rawAmount > token.balance) rawAmount = 0n
+    return { from: address, to: token.address, data: erc20.encodeFunctionData('transfer', [recipient, rawAmount]) }
+  }, [isConnected, wrongNetwork, recipient, isNft, nft, sendAmount, isToken, amount, nativeDecimals, rawBalance, token, address])
+  const quoteKey = estimateCall
+    ? `${chainId}:${feeRefresh}:${estimateCall.from}:${estimateCall.to}:${estimateCall.value ?? ''}:${estimateCall.data ?? ''}`
+    : null
+
+  useEffect(() => {
+    if (!quoteKey) return
+
+    let cancelled = false
+    // Quote against the wallet — it's the chain the transaction goes to
+    const provider = useWalletStore.getState().getBrowserProvider()
+    Promise.all([fetchFeeSuggestions(provider), estimateGasLimit(provider, estimateCall)])
+      .then(([suggestions, gasLimit]) => { if (!cancelled) setFeeQuote({ key: quoteKey, suggestions, gasLimit }) })
+      .catch(() => {
+        if (!cancelled) setFeeQuote({ key: quoteKey, error: 'Gas estimation failed. The transaction may not be valid.' })
+      })
+    return () => { cancelled = true }
+  }, [quoteKey, estimateCall])
+
+  const quote       = feeQuote?.key === quoteKey ? feeQuote : null
+  const suggestions = quote?.suggestions ?? null
+
+  // Fees to send with: the speed preset, overridden by advanced fields
+  let fees = null, gasLimit = null, feeInputError = null
+  try {
+    fees     = resolveFees(suggestions, speed, showAdvanced ? custom : {})
+    gasLimit = showAdvanced && custom.gasLimit ? BigInt(custom.gasLimit) : (quote?.gasLimit ?? null)
+  } catch {
+    feeInputError = 'Advanced fees must be numbers in gwei, and the gas limit a whole number.'
+  }
+  const worstFee    = fees && gasLimit ? maxFeeCost(fees, gasLimit) : null
+  const expectedFee = fees && gasLimit ? expectedFeeCost(fees, gasLimit, suggestions.baseFee) : null
+
+  // Checks the fee fields; null when they're usable
+  const validateFees = () => {
+    if (feeInputError) return feeInputError
+    if (quote?.error) return quote.error
+    if (worstFee == null) return 'Still estimating the network fee. Try again in a moment.'
+    if (fees.maxPriorityFeePerGas > fees.maxFeePerGas) return 'Priority fee cannot be higher than the max fee.'
+    return null
+  }
+
   const validate = () => {
-    if (!ethers.isAddress(toAddress))
-      return 'Invalid address. Must start with 0x and be 42 characters long.'
-    const amt = parseFloat(amount)
+    if (ens.resolving)
+      return `Still resolving ${ens.name}. Try again in a moment.`
+    if (ens.error)
+      return ens.error
+    if (!recipient)
+      return 'Invalid address. Enter a 0x address (42 characters) or an ENS name.'
+    const amt = parseFloat(sendAmount)
     if (isNaN(amt) || amt <= 0)
       return 'Enter a valid amount greater than 0.'
-    // Reserve 0.001 ETH for gas — never let user send the full balance
-    if (amt > parseFloat(balance) - 0.001)
-      return `Max sendable is ${(parseFloat(balance) - 0.001).toFixed(4)} ETH. The rest is reserved for gas.`
+
+    const feeError = validateFees()
+    if (feeError) return feeError
+
+    if (isNft) {
+      const quantity = parseNftAmount(sendAmount)
+      if (quantity == null)
+        return 'NFT quantities are whole numbers.'
+      if (quantity > nft.balance)
+        return `You only hold ${nft.balance.toString()} of ${nft.label}.`
+      if (worstFee > rawBalance)
+        return `Not enough ${symbol} to pay the network fee (up to ${formatFee(worstFee, chain.nativeCurrency.decimals)} ${symbol}).`
+      return null
+    }
+
+    if (isToken) {
+      if (!token)
+        return 'Select a valid ERC20 token first.'
+      const tokenAmountError = amountError(amount, token.decimals, token.symbol)
+      if (tokenAmountError) return tokenAmountError
+      const rawAmount = ethers.parseUnits(amount, token.decimals)
+      if (rawAmount > token.balance)
+        return `Insufficient ${token.symbol}. Your balance is ${ethers.formatUnits(token.balance, token.decimals)} ${token.symbol}.`
+      // Gas is always paid in the native currency, not the token
+      if (worstFee > rawBalance)
+        return `Not enough ${symbol} to pay the network fee (up to ${formatFee(worstFee, chain.nativeCurrency.decimals)} ${symbol}).`
+      return null
+    }
+
+    // Amount + worst-case fee must fit in the balance
+    const nativeAmountError = amountError(amount, chain.nativeCurrency.decimals, symbol)
+    if (nativeAmountError) return nativeAmountError
+    const rawAmount = ethers.parseUnits(amount, chain.nativeCurrency.decimals)
+    if (rawAmount + worstFee > rawBalance) {
+      const max = rawBalance > worstFee ? rawBalance - worstFee : 0n
+      return `Max sendable is ${ethers.formatUnits(max, chain.nativeCurrency.decimals)} ${symbol} after the network fee.`
+    }
     return null
   }
 
@@ -63,24 +309,52 @@ export default function SendEth() {
     setErrorMsg(null)
 
     try {
-      const provider = new ethers.BrowserProvider(window.ethereum)
+      const provider = useWalletStore.getState().getBrowserProvider()
       const signer   = await provider.getSigner()
 
       setStage(STAGES.CONFIRMING)
 
-      const tx = await signer.sendTransaction({
-        to:    toAddress,
-        value: ethers.parseEther(amount),
-      })
+      // Native: a plain value transfer.
+      // Token:  call transfer() on the token contract — the value
+      //         moves inside the contract, so tx.value stays 0.
+      // NFT:    safeTransferFrom() on the collection, same idea.
+      // All carry the fee fields we showed the user
+      const overrides = { gasLimit, ...fees }
+      const tx = isNft
+        ? await signer.sendTransaction({ ...nftTransferCall(nft, address, recipient, parseNftAmount(sendAmount)), ...overrides })
+        : isToken
+        ? await new ethers.Contract(token.address, ERC20_ABI, signer)
+            .transfer(recipient, ethers.parseUnits(amount, token.decimals), overrides)
+        : await signer.sendTransaction({
+            to:    recipient,
+            value: ethers.parseUnits(amount, chain.nativeCurrency.decimals),
+            ...overrides,
+          })
 
       setStage(STAGES.MINING)
 
+      // Track it by nonce so it can be sped up or cancelled
+      useTxStore.getState().trackTx(tx, { description: fixedAmount ? `Send ${sendSymbol}` : `Send ${amount} ${sendSymbol}` })
+      setPendingHash(tx.hash)
+
       const receipt = await tx.wait()
       setTxHash(receipt.hash)
       setStage(STAGES.SUCCESS)
       useWalletStore.getState().refreshBalance()
+      if (isToken) setLoaded({ key: tokenKey, info: await loadToken(token.address, address) })
+      if (isNft) useNftStore.getState().holdingsChanged()
 
     } catch (err) {
+      // Another transaction used our nonce — see txStore.watchTx()
+      if (err.code === 'TRANSACTION_REPLACED') {
+        setOutcome(err.reason)
+        setTxHash(err.replacement?.hash ?? err.receipt?.hash ?? null)
+        // A sped-up send still delivered the funds — that's a success
+        setStage(err.reason === 'repriced' ? STAGES.SUCCESS : STAGES.REPLACED)
+        useWalletStore.getState().refreshBalance()
+        if (isNft) useNftStore.getState().holdingsChanged()
+        return
+      }
       if (err.code === 4001) { setStage(STAGES.IDLE); return }
       setErrorMsg(friendlyError(err))
       setStage(STAGES.ERROR)
@@ -89,85 +363,361 @@ export default function SendEth() {
 
   const reset = () => {
     setToAddress(''); setAmount(''); setStage(STAGES.IDLE); setTxHash(null); setErrorMsg(null)
+    setPendingHash(null); setOutcome(null); setSaveLabel(''); setSaveError(null)
+    // The NFT has moved — don't offer it again
+    if (isNft) { useNftStore.getState().clearTransferPick(); setAssetChoice(NATIVE) }
   }
 
-  // MAX = balance minus 0.001 ETH reserved for gas
+  // Adds the recipient we just paid to the address book (all chains)
+  const saveRecipient = () => {
+    try {
+      useWalletStore.getState().addContact({ address: recipient, label: saveLabel || ens.name || '' })
+      setSaveError(null)
+    } catch (err) {
+      setSaveError(err.message)
+    }
+  }
+
+  // Speed up / cancel the transaction we're waiting on.
+  // The original tx.wait() in sendEth() then throws TRANSACTION_REPLACED.
+  const replacePending = async (kind) => {
+    setReplacing(true)
+    setErrorMsg(null)
+    try {
+      const { speedUp, cancel } = useTxStore.getState()
+      await (kind === 'cancel' ? cancel : speedUp)(pendingHash)
+    } catch (err) {
+      if (err.code !== 4001 && err.code !== 'ACTION_REJECTED')
+        setErrorMsg(err.shortMessage || err.message || 'Could not send the replacement transaction.')
+    } finally {
+      setReplacing(false)
+    }
+  }
+
+  // MAX = balance minus the worst-case network fee, to the wei.
+  // Tokens don't pay their own gas, so MAX is the full token balance.
   const handleMax = () => {
-    const max = (parseFloat(balance) - 0.001).toFixed(4)
-    setAmount(max > 0 ? max : '0')
+    if (isNft) {
+      setAmount(nft.balance.toString())
+      return
+    }
+    if (isToken) {
+      if (token) setAmount(ethers.formatUnits(token.balance, token.decimals))
+      return
+    }
+    if (worstFee == null || rawBalance == null) return
+    const max = rawBalance > worstFee ? rawBalance - worstFee : 0n
+    setAmount(ethers.formatUnits(max, chain.nativeCurrency.decimals))
   }
 
-  const isBusy = stage === STAGES.CONFIRMING || stage === STAGES.MINING
+  const updateCustom = (field, value) => {
+    setCustom(prev => ({ ...prev, [field]: value })); setErrorMsg(null)
+  }
+
+  const selectAsset = (value) => {
+    setAssetChoice(value); setAmount(''); setErrorMsg(null)
+  }
+
+  const isBusy   = stage === STAGES.CONFIRMING || stage === STAGES.MINING
+  const isLocked = isBusy || wrongNetwork
+  const txUrl    = txHash ? explorerTxUrl(chainId, txHash) : null
 
   return (
     <div className="send-card">
       <div className="send-header">
         <div className="send-header-left">
           <span className="send-icon">↗</span>
-          <span className="send-title">Send ETH</span>
+          <span className="send-title">{batchMode ? 'Batch Payouts' : `Send ${sendSymbol}`}</span>
         </div>
         {isConnected && (
-          <span className="send-balance">Balance: {balance} ETH</span>
+          <span className="send-balance">Balance: {balance} {symbol}</span>
         )}
       </div>
 
       <div className="send-body">
 
-        {stage === STAGES.SUCCESS ? (
+        {/* Single send ↔ batch mode — not while a single send is in flight or done */}
+        {(stage === STAGES.IDLE || stage === STAGES.ERROR) && (
+          <div className="send-mode-row">
+            <button className={`send-mode-btn ${!batchMode ? 'active' : ''}`} onClick={() => setBatchMode(false)}>
+              Single
+            </button>
+            <button className={`send-mode-btn ${batchMode ? 'active' : ''}`} onClick={() => setBatchMode(true)}>
+              Batch (CSV)
+            </button>
+          </div>
+        )}
+
+        {/* Stays mounted so a batch in progress survives a mode switch */}
+        <div className="batch-panel" hidden={!batchMode}>
+          <BatchSend />
+        </div>
+
+        {batchMode ? null : stage === STAGES.SUCCESS ? (
           <div className="success-state">
             <div className="success-icon">✓</div>
             <p className="success-title">Transaction Sent!</p>
-            <p className="success-sub">Confirmed on Sepolia testnet.</p>
-            <a
-              className="etherscan-link"
-              href={`https://sepolia.etherscan.io/tx/${txHash}`}
-              target="_blank"
-              rel="noopener noreferrer"
-            >
-              View on Etherscan ↗
-            </a>
+            <p className="success-sub">
+              {outcome === 'repriced' ? `Sped up and confirmed on ${chain.name}.` : `Confirmed on ${chain.name}.`}
+            </p>
+            {txUrl && (
+              <a
+                className="etherscan-link"
+                href={txUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                View on Explorer ↗
+              </a>
+            )}
             <p className="tx-hash-label">Transaction Hash</p>
             <p className="tx-hash-value">{txHash}</p>
+
+            {/* New recipient? Offer to remember it */}
+            {recipient && !recipientLabel && (
+              <div className="save-recipient">
+                <input
+                  className="field-input"
+                  type="text"
+                  placeholder={ens.name || 'Label e.g. Alice (design)'}
+                  value={saveLabel}
+                  onChange={e => { setSaveLabel(e.target.value); setSaveError(null) }}
+                />
+                <button className="save-recipient-btn" onClick={saveRecipient} disabled={!saveLabel && !ens.name}>
+                  Save recipient
+                </button>
+              </div>
+            )}
+            {recipientLabel && <p className="success-sub">Sent to {recipientLabel}.</p>}
+            {saveError && <span className="token-balance-hint error">{saveError}</span>}
+
+            <button className="send-btn" onClick={reset}>Send Another</button>
+          </div>
+
+        ) : stage === STAGES.REPLACED ? (
+          // The original never mined — its nonce went to another transaction
+          <div className="success-state">
+            <div className="success-icon replaced">⤫</div>
+            <p className="success-title">
+              {outcome === 'cancelled' ? 'Transaction Cancelled' : 'Transaction Replaced'}
+            </p>
+            <p className="success-sub">
+              {outcome === 'cancelled'
+                ? 'Nothing was sent. The cancellation was mined instead.'
+                : 'Another transaction with the same nonce was mined instead of this one.'}
+            </p>
+            {txUrl && (
+              <a
+                className="etherscan-link"
+                href={txUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                View Replacement ↗
+              </a>
+            )}
+            <p className="tx-hash-label">Replacement Hash</p>
+            <p className="tx-hash-value">{txHash}</p>
             <button className="send-btn" onClick={reset}>Send Another</button>
           </div>
 
         ) : (
           <>
+            <NetworkGuard />
+
             <div className="field">
               <label className="field-label">Recipient Address</label>
               <input
-                className={`field-input ${errorMsg && !ethers.isAddress(toAddress) ? 'input-error' : ''}`}
+                className={`field-input ${errorMsg && !recipient ? 'input-error' : ''}`}
                 type="text"
-                placeholder="0x..."
+                placeholder="0x..., name.eth or a contact"
+                list="send-contacts"
                 value={toAddress}
                 onChange={e => { setToAddress(e.target.value); setErrorMsg(null) }}
-                disabled={isBusy}
+                disabled={isLocked}
                 spellCheck={false}
               />
+              {/* Address book autocomplete — browsers match on the label too */}
+              <datalist id="send-contacts">
+                {contacts.map(c => (
+                  <option key={`${c.chainId}:${c.address}`} value={c.address}>{c.label}</option>
+                ))}
+              </datalist>
+              {/* ENS names: show where the funds will actually go */}
+              {ens.name && (
+                <span className={`token-balance-hint ${ens.error ? 'error' : ''}`}>
+                  {ens.resolving ? `Resolving ${ens.name}…`
+                    : ens.error ? ens.error
+                    : <>→ <span className="resolved-address">{recipient}</span></>}
+                </span>
+              )}
+              {recipientLabel && (
+                <span className="token-balance-hint">Contact: {recipientLabel}</span>
+              )}
             </div>
 
             <div className="field">
-              <label className="field-label">
-                Amount (ETH)
-                <span className="field-hint">— keep 0.001 for gas</span>
-              </label>
-              <div className="amount-row">
+              <label className="field-label">Asset</label>
+              <select
+                className="field-input"
+                value={asset}
+                onChange={e => selectAsset(e.target.value)}
+                disabled={isLocked}
+              >
+                <option value={NATIVE}>{symbol} (native)</option>
+                {watchedTokens.map(t => (
+                  <option key={t.address} value={t.address}>{t.symbol}{t.name && ` — ${t.name}`}</option>
+                ))}
+                <option value={CUSTOM}>Custom token…</option>
+                {nft && <option value={NFT}>NFT: {nft.label}</option>}
+              </select>
+              {asset === CUSTOM && (
                 <input
                   className="field-input"
-                  type="number"
-                  placeholder="0.00"
-                  min="0"
-                  step="0.001"
-                  value={amount}
-                  onChange={e => { setAmount(e.target.value); setErrorMsg(null) }}
-                  disabled={isBusy}
+                  type="text"
+                  placeholder="0x... (ERC20 contract address)"
+                  value={customAddress}
+                  onChange={e => { setCustomAddress(e.target.value); setErrorMsg(null) }}
+                  disabled={isLocked}
+                  spellCheck={false}
                 />
-                <button className="max-btn" onClick={handleMax} disabled={isBusy || !balance}>
-                  MAX
-                </button>
-              </div>
+              )}
+              {isToken && token && (
+                <span className="token-balance-hint">
+                  Balance: {ethers.formatUnits(token.balance, token.decimals)} {token.symbol}
+                </span>
+              )}
+              {tokenError && <span className="token-balance-hint error">{tokenError}</span>}
+              {isNft && (
+                <span className="token-balance-hint">
+                  {STANDARD_LABELS[nft.standard]} · id {nft.id.toString()}
+                  {!fixedAmount && ` · you hold ${nft.balance.toString()}`}
+                </span>
+              )}
             </div>
 
+            {/* ERC-721 ids are sent whole — no amount */}
+            {!fixedAmount && (
+              <div className="field">
+                <label className="field-label">
+                  Amount ({sendSymbol})
+                  <span className="field-hint">
+                    {isToken || isNft ? `— gas is paid in ${symbol}` : '— network fee is added on top'}
+                  </span>
+                </label>
+                <div className="amount-row">
+                  <input
+                    className="field-input"
+                    type="number"
+                    placeholder={isNft ? '1' : '0.00'}
+                    min="0"
+                    step={isNft ? '1' : '0.001'}
+                    value={amount}
+                    onChange={e => { setAmount(e.target.value); setErrorMsg(null) }}
+                    disabled={isLocked}
+                  />
+                  <button className="max-btn" onClick={handleMax} disabled={isLocked || (!isNft && (isToken ? !token : worstFee == null))}>
+                    MAX
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* ── Network fee — estimate, speed presets, advanced fields ── */}
+            {isConnected && (
+              <div className="fee-box">
+                <div className="fee-row">
+                  <span className="field-label">Network fee</span>
+                  <span className="fee-value">
+                    {expectedFee != null
+                      ? `≈ ${formatFee(expectedFee, chain.nativeCurrency.decimals)} ${symbol}`
+                      : quote?.error ? '—'
+                      : estimateCall ? 'Estimating…'
+                      : 'Enter a recipient'}
+                  </span>
+                  <button
+                    className="fee-refresh"
+                    onClick={() => setFeeRefresh(n => n + 1)}
+                    disabled={!estimateCall || isLocked}
+                    title="Refresh fee estimate"
+                  >
+                    ↻
+                  </button>
+                </div>
+
+                <div className="speed-row">
+                  {Object.entries(FEE_SPEEDS).map(([key, { label }]) => (
+                    <button
+                      key={key}
+                      className={`speed-btn ${speed === key ? 'active' : ''}`}
+                      onClick={() => { setSpeed(key); setErrorMsg(null) }}
+                      disabled={isLocked}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                  <button
+                    className={`speed-btn advanced ${showAdvanced ? 'active' : ''}`}
+                    onClick={() => setShowAdvanced(v => !v)}
+                    disabled={isLocked}
+                  >
+                    Advanced
+                  </button>
+                </div>
+
+                {worstFee != null && (
+                  <span className="fee-hint">
+                    Max {formatFee(worstFee, chain.nativeCurrency.decimals)} {symbol} · gas limit {gasLimit.toString()}
+                    {suggestions?.eip1559 ? ' · EIP-1559' : ' · legacy gas price'}
+                  </span>
+                )}
+
+                {showAdvanced && (
+                  <div className="advanced-fields">
+                    <label className="advanced-field">
+                      <span>{suggestions?.eip1559 === false ? 'Gas price (gwei)' : 'Max fee (gwei)'}</span>
+                      <input
+                        className="field-input"
+                        type="number"
+                        min="0"
+                        placeholder={toGwei(suggestions?.speeds[speed].maxFeePerGas ?? suggestions?.speeds[speed].gasPrice)}
+                        value={custom.maxFee}
+                        onChange={e => updateCustom('maxFee', e.target.value)}
+                        disabled={isLocked}
+                      />
+                    </label>
+                    {suggestions?.eip1559 !== false && (
+                      <label className="advanced-field">
+                        <span>Priority fee (gwei)</span>
+                        <input
+                          className="field-input"
+                          type="number"
+                          min="0"
+                          placeholder={toGwei(suggestions?.speeds[speed].maxPriorityFeePerGas)}
+                          value={custom.priorityFee}
+                          onChange={e => updateCustom('priorityFee', e.target.value)}
+                          disabled={isLocked}
+                        />
+                      </label>
+                    )}
+                    <label className="advanced-field">
+                      <span>Gas limit</span>
+                      <input
+                        className="field-input"
+                        type="number"
+                        min="21000"
+                        step="1"
+                        placeholder={quote?.gasLimit?.toString() ?? ''}
+                        value={custom.gasLimit}
+                        onChange={e => updateCustom('gasLimit', e.target.value)}
+                        disabled={isLocked}
+                      />
+                    </label>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* ── Error box — clean, human readable ── */}
             {errorMsg && (
               <div className="send-error">
@@ -190,17 +740,27 @@ export default function SendEth() {
               <div className="status-msg mining">
                 <span className="status-spinner" />
                 <span>Broadcast. Waiting for block confirmation...</span>
+                {pendingHash && (
+                  <div className="replace-actions">
+                    <button className="replace-btn" onClick={() => replacePending('speedup')} disabled={replacing}>
+                      Speed up
+                    </button>
+                    <button className="replace-btn danger" onClick={() => replacePending('cancel')} disabled={replacing}>
+                      Cancel
+                    </button>
+                  </div>
+                )}
               </div>
             )}
 
             <button
               className="send-btn"
               onClick={sendEth}
-              disabled={isBusy || !isConnected || !toAddress || !amount}
+              disabled={isLocked || !isConnected || !toAddress || !sendAmount}
             >
               {isBusy
                 ? <><span className="status-spinner white" /> Processing...</>
-                : 'Send ETH'
+                : `Send ${sendSymbol}`
               }
             </button>
 
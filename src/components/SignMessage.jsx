@@ -0,0 +1,388 @@
+// src/components/SignMessage.jsx
+// ─────────────────────────────────────────────────────────────
+// Sign & verify off-chain messages (lib/signatures.js).
+//
+// Sign: personal_sign for plain text (or raw 0x bytes), and
+// EIP-712 typed data — pasted as JSON, or built from a simple
+// domain + fields form.
+//
+// Verify: recovers the signer of any message + signature and,
+// when the claimed signer is a contract wallet, asks it through
+// ERC-1271 isValidSignature(). Useful for debugging backend
+// auth and off-chain order flows.
+// ─────────────────────────────────────────────────────────────
+
+import { useState } from 'react'
+import { useWalletStore } from '../store/walletStore'
+import { getChain } from '../config/chains'
+import {
+  TYPED_FIELD_TYPES, toMessage, parseTypedData, buildTypedData, typedDataToJson,
+  signPersonal, signTyped, verifySignature,
+} from '../lib/signatures'
+import AddressName from './AddressName'
+import './SignMessage.css'
+
+const KINDS = { personal: 'Message', typed: 'Typed data (EIP-712)' }
+
+// Helper: the form builder's starting point
+const emptyForm = (chainId) => ({
+  domain:      { name: '', version: '1', chainId: String(chainId ?? ''), verifyingContract: '' },
+  primaryType: 'Message',
+  fields:      [{ name: 'contents', type: 'string', value: '' }],
+})
+
+// Helper: what the signer/verifier should sign — throws on bad input
+const buildPayload = ({ kind, message, asBytes, typedJson }) => (kind === 'typed'
+  ? { kind, typed: parseTypedData(typedJson) }
+  : { kind, message: toMessage(message, asBytes) })
+
+export default function SignMessage() {
+  const isConnected = useWalletStore(s => s.status === 'connected')
+  const chainId     = useWalletStore(s => s.chainId)
+  const chain       = getChain(chainId)
+
+  const [tab, setTab] = useState('sign')
+
+  // ── Sign tab ─────────────────────────────────────────────────
+  const [kind, setKind]           = useState('personal')
+  const [message, setMessage]     = useState('')
+  const [asBytes, setAsBytes]     = useState(false)
+  const [typedMode, setTypedMode] = useState('json')     // 'json' | 'form'
+  const [typedJson, setTypedJson] = useState('')
+  const [form, setForm]           = useState(() => emptyForm(chain.id))
+  const [signing, setSigning]     = useState(false)
+  const [signed, setSigned]       = useState(null)       // { signature, signer, input }
+  const [signError, setSignError] = useState(null)
+
+  // ── Verify tab ───────────────────────────────────────────────
+  const [verifyInput, setVerifyInput] = useState({ kind: 'personal', message: '', asBytes: false, typedJson: '' })
+  const [signature, setSignature]     = useState('')
+  const [expected, setExpected]       = useState('')
+  const [verifying, setVerifying]     = useState(false)
+  const [verified, setVerified]       = useState(null)   // verifySignature() result
+  const [verifyError, setVerifyError] = useState(null)
+
+  // The typed data JSON to sign — from the form when that's open
+  const currentTypedJson = () => (typedMode === 'form' ? typedDataToJson(buildTypedData(form)) : typedJson)
+
+  const updateDomain = (field, value) => {
+    setForm(prev => ({ ...prev, domain: { ...prev.domain, [field]: value } })); setSignError(null)
+  }
+  const updateField = (i, field, value) => {
+    setForm(prev => ({ ...prev, fields: prev.fields.map((f, j) => (j === i ? { ...f, [field]: value } : f)) }))
+    setSignError(null)
+  }
+  const addField    = () => setForm(prev => ({ ...prev, fields: [...prev.fields, { name: '', type: 'string', value: '' }] }))
+  const removeField = (i) => setForm(prev => ({ ...prev, fields: prev.fields.filter((_, j) => j !== i) }))
+
+  // Form → JSON, to tweak what the form can't express
+  const editAsJson = () => {
+    try {
+      setTypedJson(typedDataToJson(buildTypedData(form)))
+      setTypedMode('json')
+      setSignError(null)
+    } catch (err) {
+      setSignError(err.message)
+    }
+  }
+
+  // ── sign() ───────────────────────────────────────────────────
+  const sign = async () => {
+    setSignError(null)
+    setSigned(null)
+
+    let input, payload
+    try {
+      input   = { kind, message, asBytes, typedJson: kind === 'typed' ? currentTypedJson() : '' }
+      payload = buildPayload(input)
+    } catch (err) {
+      setSignError(err.message)
+      return
+    }
+
+    setSigning(true)
+    try {
+      const signer    = await useWalletStore.getState().getBrowserProvider().getSigner()
+      const signature = payload.kind === 'typed'
+        ? await signTyped(signer, payload.typed)
+        : await signPersonal(signer, payload.message)
+      setSigned({ signature, signer: signer.address, input })
+    } catch (err) {
+      if (err.code !== 4001 && err.code !== 'ACTION_REJECTED')
+        setSignError(err.shortMessage || err.message || 'Signing failed.')
+    } finally {
+      setSigning(false)
+    }
+  }
+
+  // Hands the signature we just made to the verifier
+  const verifySigned = () => {
+    setVerifyInput(signed.input)
+    setSignature(signed.signature)
+    setExpected(signed.signer)
+    setVerified(null)
+    setVerifyError(null)
+    setTab('verify')
+  }
+
+  // ── verify() ─────────────────────────────────────────────────
+  const verify = async () => {
+    setVerifyError(null)
+    setVerified(null)
+    setVerifying(true)
+    try {
+      const provider = useWalletStore.getState().getReadProvider()
+      setVerified(await verifySignature(provider, buildPayload(verifyInput), signature, expected.trim()))
+    } catch (err) {
+      setVerifyError(err.shortMessage || err.message)
+    } finally {
+      setVerifying(false)
+    }
+  }
+
+  const updateVerifyInput = (field, value) => {
+    setVerifyInput(prev => ({ ...prev, [field]: value })); setVerified(null); setVerifyError(null)
+  }
+
+  // Overall verdict: valid for the claimed signer by either route
+  const verdict = verified && expected.trim()
+    ? (verified.matches || verified.erc1271 ? 'valid' : 'invalid')
+    : null
+
+  return (
+    <div className="sig-card">
+
+      <div className="sig-header">
+        <div className="sig-header-left">
+          <span className="sig-icon">✎</span>
+          <span className="sig-title">Sign &amp; Verify</span>
+        </div>
+        <div className="sig-tabs">
+          {['sign', 'verify'].map(key => (
+            <button key={key} className={`sig-tab ${tab === key ? 'active' : ''}`} onClick={() => setTab(key)}>
+              {key === 'sign' ? 'Sign' : 'Verify'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="sig-body">
+
+        {tab === 'sign' ? (
+          <>
+            <div className="sig-kind-row">
+              {Object.entries(KINDS).map(([key, label]) => (
+                <button
+                  key={key}
+                  className={`sig-kind-btn ${kind === key ? 'active' : ''}`}
+                  onClick={() => { setKind(key); setSignError(null); setSigned(null) }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {kind === 'personal' ? (
+              <>
+                <textarea
+                  className="field-input sig-textarea"
+                  rows={4}
+                  placeholder={asBytes ? '0x… bytes to sign' : 'Message to sign'}
+                  value={message}
+                  onChange={e => { setMessage(e.target.value); setSignError(null) }}
+                  spellCheck={false}
+                />
+                <label className="sig-check">
+                  <input type="checkbox" checked={asBytes} onChange={e => setAsBytes(e.target.checked)} />
+                  Sign 0x hex as raw bytes
+                </label>
+              </>
+            ) : (
+              <>
+                <div className="sig-kind-row small">
+                  <button className={`sig-kind-btn ${typedMode === 'json' ? 'active' : ''}`} onClick={() => setTypedMode('json')}>
+                    JSON
+                  </button>
+                  <button className={`sig-kind-btn ${typedMode === 'form' ? 'active' : ''}`} onClick={() => setTypedMode('form')}>
+                    Form
+                  </button>
+                </div>
+
+                {typedMode === 'json' ? (
+                  <textarea
+                    className="field-input sig-textarea"
+                    rows={8}
+                    placeholder='{ "domain": { … }, "types": { … }, "primaryType": "Order", "message": { … } }'
+                    value={typedJson}
+                    onChange={e => { setTypedJson(e.target.value); setSignError(null) }}
+                    spellCheck={false}
+                  />
+                ) : (
+                  <div className="sig-form">
+                    <span className="sig-section-label">Domain</span>
+                    <div className="sig-grid">
+                      <input className="field-input" placeholder="name e.g. MyApp" value={form.domain.name} onChange={e => updateDomain('name', e.target.value)} />
+                      <input className="field-input" placeholder="version e.g. 1" value={form.domain.version} onChange={e => updateDomain('version', e.target.value)} />
+                      <input className="field-input" placeholder={`chainId e.g. ${chain.id}`} value={form.domain.chainId} onChange={e => updateDomain('chainId', e.target.value)} />
+                      <input className="field-input" placeholder="verifyingContract 0x… (optional)" value={form.domain.verifyingContract} onChange={e => updateDomain('verifyingContract', e.target.value)} spellCheck={false} />
+                    </div>
+
+                    <span className="sig-section-label">Primary type</span>
+                    <input
+                      className="field-input"
+                      placeholder="e.g. Order"
+                      value={form.primaryType}
+                      onChange={e => { setForm(prev => ({ ...prev, primaryType: e.target.value })); setSignError(null) }}
+                    />
+
+                    <span className="sig-section-label">Fields</span>
+                    {form.fields.map((field, i) => (
+                      <div key={i} className="sig-field-row">
+                        <input className="field-input" placeholder="name" value={field.name} onChange={e => updateField(i, 'name', e.target.value)} />
+                        <select className="field-input" value={field.type} onChange={e => updateField(i, 'type', e.target.value)}>
+                          {TYPED_FIELD_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                        </select>
+                        <input
+                          className="field-input"
+                          placeholder={field.type === 'bool' ? 'true / false' : 'value'}
+                          value={field.value}
+                          onChange={e => updateField(i, 'value', e.target.value)}
+                          spellCheck={false}
+                        />
+                        <button className="sig-remove-btn" onClick={() => removeField(i)} disabled={form.fields.length === 1} title="Remove field">
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <div className="sig-actions">
+                      <button className="sig-btn" onClick={addField}>+ Field</button>
+                      <button className="sig-btn" onClick={editAsJson}>Edit as JSON</button>
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+
+            {signError && <span className="sig-error">{signError}</span>}
+
+            <button
+              className="sig-primary-btn"
+              onClick={sign}
+              disabled={!isConnected || signing || (kind === 'personal' ? !message : typedMode === 'json' && !typedJson.trim())}
+            >
+              {signing ? 'Confirm in your wallet…' : kind === 'typed' ? 'Sign typed data' : 'Sign message'}
+            </button>
+            {!isConnected && <p className="sig-hint">Connect your wallet to sign.</p>}
+
+            {signed && (
+              <div className="sig-result">
+                <span className="sig-section-label">
+                  Signature by <AddressName address={signed.signer} />
+                </span>
+                <code className="sig-output">{signed.signature}</code>
+                <div className="sig-actions">
+                  <button className="sig-btn" onClick={() => navigator.clipboard.writeText(signed.signature)}>Copy</button>
+                  <button className="sig-btn" onClick={verifySigned}>Verify →</button>
+                </div>
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <div className="sig-kind-row">
+              {Object.entries(KINDS).map(([key, label]) => (
+                <button
+                  key={key}
+                  className={`sig-kind-btn ${verifyInput.kind === key ? 'active' : ''}`}
+                  onClick={() => updateVerifyInput('kind', key)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {verifyInput.kind === 'personal' ? (
+              <>
+                <textarea
+                  className="field-input sig-textarea"
+                  rows={3}
+                  placeholder="The exact message that was signed"
+                  value={verifyInput.message}
+                  onChange={e => updateVerifyInput('message', e.target.value)}
+                  spellCheck={false}
+                />
+                <label className="sig-check">
+                  <input type="checkbox" checked={verifyInput.asBytes} onChange={e => updateVerifyInput('asBytes', e.target.checked)} />
+                  Message is 0x hex bytes
+                </label>
+              </>
+            ) : (
+              <textarea
+                className="field-input sig-textarea"
+                rows={6}
+                placeholder='{ "domain": { … }, "types": { … }, "primaryType": "Order", "message": { … } }'
+                value={verifyInput.typedJson}
+                onChange={e => updateVerifyInput('typedJson', e.target.value)}
+                spellCheck={false}
+              />
+            )}
+
+            <input
+              className="field-input"
+              type="text"
+              placeholder="Signature 0x…"
+              value={signature}
+              onChange={e => { setSignature(e.target.value); setVerified(null); setVerifyError(null) }}
+              spellCheck={false}
+            />
+            <input
+              className="field-input"
+              type="text"
+              placeholder="Expected signer 0x… (optional — needed for contract wallets)"
+              value={expected}
+              onChange={e => { setExpected(e.target.value); setVerified(null); setVerifyError(null) }}
+              spellCheck={false}
+            />
+
+            {verifyError && <span className="sig-error">{verifyError}</span>}
+
+            <button className="sig-primary-btn" onClick={verify} disabled={verifying || !signature.trim()}>
+              {verifying ? 'Checking…' : 'Verify signature'}
+            </button>
+
+            {verified && (
+              <div className={`sig-result ${verdict ?? ''}`}>
+                {verdict && (
+                  <span className={`sig-verdict ${verdict}`}>
+                    {verdict === 'valid' ? '✓ Valid signature' : '✕ Not signed by this address'}
+                  </span>
+                )}
+                <div className="sig-fact">
+                  <span className="sig-section-label">Digest</span>
+                  <code className="sig-output">{verified.hash}</code>
+                </div>
+                <div className="sig-fact">
+                  <span className="sig-section-label">Recovered signer (ECDSA)</span>
+                  <span className="sig-value">
+                    {verified.recovered ? <AddressName address={verified.recovered} /> : '— not a 65-byte ECDSA signature'}
+                    {verified.matches === true && ' · matches'}
+                    {verified.matches === false && verified.recovered && ' · does not match'}
+                  </span>
+                </div>
+                {verified.contract && (
+                  <div className="sig-fact">
+                    <span className="sig-section-label">ERC-1271 on {chain.name}</span>
+                    <span className="sig-value">
+                      isValidSignature() {verified.erc1271 ? 'returned the magic value — valid' : 'rejected the signature'}
+                    </span>
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+      </div>
+    </div>
+  )
+}
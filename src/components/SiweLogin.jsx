@@ -0,0 +1,309 @@
+// src/components/SiweLogin.jsx
+// ─────────────────────────────────────────────────────────────
+// Sign-In with Ethereum (EIP-4361, lib/siwe.js).
+//
+// Build: a login message for the connected address and chain —
+// domain, URI, nonce, timestamps, resources — previewed exactly
+// as the wallet will show it, then personal_signed.
+//
+// Verify: paste a SIWE message + signature and run the checks a
+// backend would, each reported on its own line: domain, chain,
+// expiry / not-before, and who actually signed it.
+// ─────────────────────────────────────────────────────────────
+
+import { useState } from 'react'
+import { useWalletStore } from '../store/walletStore'
+import { getChain } from '../config/chains'
+import { buildSiweMessage, generateNonce, validateSiwe } from '../lib/siwe'
+import { signPersonal } from '../lib/signatures'
+import AddressName from './AddressName'
+import './SiweLogin.css'
+
+const CHECK_LABELS = {
+  format:         'Format',
+  domain:         'Domain',
+  chain:          'Chain',
+  expirationTime: 'Expiration',
+  notBefore:      'Not before',
+  issuedAt:       'Issued at',
+  signature:      'Signer',
+}
+
+// ISO timestamp without milliseconds, as most SIWE libraries write it
+const isoSeconds = (ms) => new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z')
+
+// Helper: a fresh nonce + Issued At, stamped together
+const freshStamp = () => ({ nonce: generateNonce(), issuedAt: isoSeconds(Date.now()) })
+
+export default function SiweLogin() {
+  const isConnected = useWalletStore(s => s.status === 'connected')
+  const address     = useWalletStore(s => s.address)
+  const chainId     = useWalletStore(s => s.chainId)
+  const chain       = getChain(chainId)
+
+  const [tab, setTab] = useState('build')
+
+  // ── Build tab ────────────────────────────────────────────────
+  const [form, setForm] = useState(() => ({
+    domain:     window.location.host,
+    uri:        window.location.origin,
+    statement:  'Sign in to Web3 Dashboard.',
+    expiresIn:  '60',      // minutes, empty = never
+    requestId:  '',
+    resources:  '',        // one URI per line
+    ...freshStamp(),
+  }))
+  const [signing, setSigning]     = useState(false)
+  const [signed, setSigned]       = useState(null)   // { message, signature }
+  const [signError, setSignError] = useState(null)
+
+  // ── Verify tab ───────────────────────────────────────────────
+  const [verifyText, setVerifyText]         = useState('')
+  const [signature, setSignature]           = useState('')
+  const [expectedDomain, setExpectedDomain] = useState(window.location.host)
+  const [expectedChain, setExpectedChain]   = useState(String(chain.id))
+  const [verifying, setVerifying]           = useState(false)
+  const [report, setReport]                 = useState(null)   // validateSiwe() result
+  const [verifyError, setVerifyError]       = useState(null)
+
+  const update = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value })); setSigned(null); setSignError(null)
+  }
+  const refreshStamp = () => { setForm(prev => ({ ...prev, ...freshStamp() })); setSigned(null) }
+
+  // The message as it will be signed — or why it can't be built
+  let message = null, buildError = null
+  if (isConnected) {
+    try {
+      const minutes = form.expiresIn.trim()
+      if (minutes && !(Number(minutes) > 0)) throw new Error('"Expires in" must be a number of minutes.')
+      message = buildSiweMessage({
+        domain:         form.domain.trim(),
+        address,
+        statement:      form.statement.trim(),
+        uri:            form.uri.trim(),
+        chainId:        chain.id,
+        nonce:          form.nonce,
+        issuedAt:       form.issuedAt,
+        expirationTime: minutes ? isoSeconds(new Date(form.issuedAt).getTime() + Number(minutes) * 60_000) : undefined,
+        requestId:      form.requestId.trim() || undefined,
+        resources:      form.resources.split('\n').map(r => r.trim()).filter(Boolean),
+      })
+    } catch (err) {
+      buildError = err.message
+    }
+  }
+
+  // ── sign() ───────────────────────────────────────────────────
+  const sign = async () => {
+    setSignError(null)
+    setSigned(null)
+    setSigning(true)
+    try {
+      const signer = await useWalletStore.getState().getBrowserProvider().getSigner()
+      setSigned({ message, signature: await signPersonal(signer, message) })
+    } catch (err) {
+      if (err.code !== 4001 && err.code !== 'ACTION_REJECTED')
+        setSignError(err.shortMessage || err.message || 'Signing failed.')
+    } finally {
+      setSigning(false)
+    }
+  }
+
+  // Hands the login we just signed to the verifier
+  const verifySigned = () => {
+    setVerifyText(signed.message)
+    setSignature(signed.signature)
+    setExpectedDomain(form.domain.trim())
+    setExpectedChain(String(chain.id))
+    setReport(null)
+    setVerifyError(null)
+    setTab('verify')
+  }
+
+  // ── verify() ─────────────────────────────────────────────────
+  const verify = async () => {
+    setVerifyError(null)
+    setReport(null)
+
+    const expectedId = Number(expectedChain)
+    if (!Number.isInteger(expectedId) || expectedId < 1) {
+      setVerifyError('Enter the chain ID the login is expected on.')
+      return
+    }
+
+    setVerifying(true)
+    try {
+      // ERC-1271 wallets are asked on the chain the login is for —
+      // never through a wallet that's on another network. No RPC
+      // for that chain → only EOA signatures can be checked.
+      let provider = null
+      try {
+        provider = useWalletStore.getState().getReadProvider(expectedId)
+      } catch {
+        // validateSiwe() says so in the signer check
+      }
+      setReport(await validateSiwe(provider, verifyText, signature, {
+        domain:  expectedDomain.trim(),
+        chainId: expectedId,
+      }))
+    } catch (err) {
+      setVerifyError(err.shortMessage || err.message)
+    } finally {
+      setVerifying(false)
+    }
+  }
+
+  const clearReport = () => { setReport(null); setVerifyError(null) }
+
+  const passed = report?.checks.every(c => c.ok)
+
+  return (
+    <div className="siwe-card">
+
+      <div className="siwe-header">
+        <div className="siwe-header-left">
+          <span className="siwe-icon">⎆</span>
+          <span className="siwe-title">Sign-In with Ethereum</span>
+        </div>
+        <div className="siwe-tabs">
+          {['build', 'verify'].map(key => (
+            <button key={key} className={`siwe-tab ${tab === key ? 'active' : ''}`} onClick={() => setTab(key)}>
+              {key === 'build' ? 'Build' : 'Verify'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="siwe-body">
+
+        {tab === 'build' ? (
+          !isConnected ? (
+            <p className="siwe-hint">Connect your wallet to build a login message for your address.</p>
+          ) : (
+            <>
+              <div className="siwe-grid">
+                <label className="siwe-field">
+                  <span className="siwe-label">Domain</span>
+                  <input className="field-input" value={form.domain} onChange={e => update('domain', e.target.value)} spellCheck={false} />
+                </label>
+                <label className="siwe-field">
+                  <span className="siwe-label">URI</span>
+                  <input className="field-input" value={form.uri} onChange={e => update('uri', e.target.value)} spellCheck={false} />
+                </label>
+              </div>
+
+              <label className="siwe-field">
+                <span className="siwe-label">Statement (optional)</span>
+                <input className="field-input" value={form.statement} onChange={e => update('statement', e.target.value)} />
+              </label>
+
+              <div className="siwe-grid">
+                <label className="siwe-field">
+                  <span className="siwe-label">Expires in (minutes)</span>
+                  <input className="field-input" placeholder="never" value={form.expiresIn} onChange={e => update('expiresIn', e.target.value)} />
+                </label>
+                <label className="siwe-field">
+                  <span className="siwe-label">Request ID (optional)</span>
+                  <input className="field-input" value={form.requestId} onChange={e => update('requestId', e.target.value)} spellCheck={false} />
+                </label>
+              </div>
+
+              <label className="siwe-field">
+                <span className="siwe-label">Resources (one URI per line)</span>
+                <textarea
+                  className="field-input siwe-textarea"
+                  rows={2}
+                  placeholder="ipfs://… or https://…"
+                  value={form.resources}
+                  onChange={e => update('resources', e.target.value)}
+                  spellCheck={false}
+                />
+              </label>
+
+              <div className="siwe-stamp">
+                <span>Nonce <code>{form.nonce}</code> · issued {form.issuedAt} · {chain.name}</span>
+                <button className="siwe-btn" onClick={refreshStamp}>New nonce</button>
+              </div>
+
+              {buildError
+                ? <span className="siwe-error">{buildError}</span>
+                : <pre className="siwe-preview">{message}</pre>}
+
+              {signError && <span className="siwe-error">{signError}</span>}
+
+              <button className="siwe-primary-btn" onClick={sign} disabled={signing || !message}>
+                {signing ? 'Confirm in your wallet…' : 'Sign in'}
+              </button>
+
+              {signed && (
+                <div className="siwe-result">
+                  <span className="siwe-label">
+                    Signature by <AddressName address={address} />
+                  </span>
+                  <code className="siwe-output">{signed.signature}</code>
+                  <div className="siwe-actions">
+                    <button className="siwe-btn" onClick={() => navigator.clipboard.writeText(signed.message)}>Copy message</button>
+                    <button className="siwe-btn" onClick={() => navigator.clipboard.writeText(signed.signature)}>Copy signature</button>
+                    <button className="siwe-btn" onClick={verifySigned}>Verify →</button>
+                  </div>
+                </div>
+              )}
+            </>
+          )
+        ) : (
+          <>
+            <textarea
+              className="field-input siwe-textarea"
+              rows={9}
+              placeholder="example.com wants you to sign in with your Ethereum account: …"
+              value={verifyText}
+              onChange={e => { setVerifyText(e.target.value); clearReport() }}
+              spellCheck={false}
+            />
+            <input
+              className="field-input"
+              type="text"
+              placeholder="Signature 0x…"
+              value={signature}
+              onChange={e => { setSignature(e.target.value); clearReport() }}
+              spellCheck={false}
+            />
+            <div className="siwe-grid">
+              <label className="siwe-field">
+                <span className="siwe-label">Expected domain</span>
+                <input className="field-input" value={expectedDomain} onChange={e => { setExpectedDomain(e.target.value); clearReport() }} spellCheck={false} />
+              </label>
+              <label className="siwe-field">
+                <span className="siwe-label">Expected chain ID</span>
+                <input className="field-input" value={expectedChain} onChange={e => { setExpectedChain(e.target.value); clearReport() }} />
+              </label>
+            </div>
+
+            {verifyError && <span className="siwe-error">{verifyError}</span>}
+
+            <button className="siwe-primary-btn" onClick={verify} disabled={verifying || !verifyText.trim() || !signature.trim()}>
+              {verifying ? 'Checking…' : 'Verify login'}
+            </button>
+
+            {report && (
+              <div className={`siwe-result ${passed ? 'valid' : 'invalid'}`}>
+                <span className={`siwe-verdict ${passed ? 'valid' : 'invalid'}`}>
+                  {passed ? '✓ Valid login' : '✕ Login rejected'}
+                </span>
+                {report.checks.map(check => (
+                  <div key={check.field} className={`siwe-check ${check.ok ? 'ok' : 'fail'}`}>
+                    <span className="siwe-check-mark">{check.ok ? '✓' : '✕'}</span>
+                    <span className="siwe-check-label">{CHECK_LABELS[check.field]}</span>
+                    <span className="siwe-check-message">{check.message}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+      </div>
+    </div>
+  )
+}
@@ -20,47 +20,36 @@
 import { useState } from 'react'
 import { ethers } from 'ethers'
 import { useWalletStore } from '../store/walletStore'
+import { getChain, explorerTokenUrl, isSupportedChain } from '../config/chains'
+import { ERC20_ABI } from '../config/abis'
+import { isEnsName, resolveEnsName } from '../lib/ens'
+import { getTokenMeta } from '../lib/tokenMeta'
+import { useAddressLabel } from '../hooks/useAddressLabel'
+import { useWatchedTokens } from '../hooks/useWatchedTokens'
+import NetworkGuard from './NetworkGuard'
 import './TokenChecker.css'
 
 // ── Minimal ERC20 ABI ─────────────────────────────────────────
-// We only need 3 functions for this component.
-// A full ERC20 ABI has ~10 functions — we only include what we call.
-// This is a common pattern: use minimal ABIs to keep code clean.
-const ERC20_ABI = [
-  // balanceOf: given a wallet address, returns token balance in smallest units
-  'function balanceOf(address account) view returns (uint256)',
-  // symbol: returns the ticker e.g. "USDC", "LINK", "DAI"
-  'function symbol() view returns (string)',
-  // decimals: returns how many decimal places e.g. USDC=6, ETH=18, LINK=18
-  'function decimals() view returns (uint8)',
-  // name: returns the full name e.g. "USD Coin"
-  'function name() view returns (string)',
-]
-
-// ── Pre-loaded Sepolia test tokens ────────────────────────────
-// These are real ERC20 contracts deployed on Sepolia testnet.
-// Users can pick one or paste any contract address manually.
-const PRESET_TOKENS = [
-  {
-    name: 'Chainlink',
-    symbol: 'LINK',
-    address: '0x779877A7B0D9E8603169DdbD7836e478b4624789',
-  },
-  {
-    name: 'Wrapped Ether',
-    symbol: 'WETH',
-    address: '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14',
-  },
-  {
-    name: 'USD Coin (Test)',
-    symbol: 'USDC',
-    address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
-  },
-]
+// Shared with the other token features — see src/config/abis.js.
+// We only need balanceOf, symbol, decimals and name here.
+
+// ── Watched tokens ────────────────────────────────────────────
+// Quick-select shows the token watchlist for the current chain
+// (store/tokenStore.js): the chain's presets plus anything added
+// in Portfolio. Users can pick one or paste any contract address.
 
 export default function TokenChecker() {
   const address     = useWalletStore(s => s.address)
   const isConnected = useWalletStore(s => s.status === 'connected')
+  const chainId     = useWalletStore(s => s.chainId)
+  // Selected watch-only address, otherwise the connected wallet
+  const viewedAddress = useWalletStore(s => s.viewAddress || s.address)
+
+  const chain        = getChain(chainId)
+  const watchedTokens = useWatchedTokens(chainId)
+
+  // Required-chain guard — contract reads are disabled on unsupported networks
+  const wrongNetwork = isConnected && !isSupportedChain(chainId)
 
   const [contractAddress, setContractAddress] = useState('')
   const [walletAddress, setWalletAddress]     = useState('')
@@ -68,21 +57,29 @@ export default function TokenChecker() {
   const [loading, setLoading]                 = useState(false)
   const [error, setError]                     = useState(null)
 
+  const tokenUrl = result ? explorerTokenUrl(chainId, result.contractAddress) : null
+
+  // Address book / watchlist label of the wallet we checked
+  const checkedLabel = useAddressLabel(result?.checkedAddress)
+
   // ── checkBalance() ───────────────────────────────────────────
   const checkBalance = async () => {
     // Simple validation: just check it starts with 0x and is 42 chars
-    // Avoids ethers checksum strictness issues with mixed-case addresses
-    const contractAddr = contractAddress.trim()
-    const checkAddr    = walletAddress.trim() || address
+    // Avoids ethers checksum strictness issues with mixed-case addresses.
+    // ENS names (e.g. "vitalik.eth") are accepted too and resolved below.
+    const contractInput = contractAddress.trim()
+    const checkInput    = walletAddress.trim() || viewedAddress
 
     const isValidAddr = (a) => a && a.startsWith('0x') && a.length === 42
 
-    if (!isValidAddr(contractAddr)) {
-      setError('Invalid token contract address. Must start with 0x and be 42 characters.')
+    if (!isValidAddr(contractInput) && !isEnsName(contractInput)) {
+      setError('Invalid token contract address. Enter a 0x address (42 characters) or an ENS name.')
       return
     }
-    if (!isValidAddr(checkAddr)) {
-      setError('Invalid wallet address to check.')
+    if (!isValidAddr(checkInput) && !isEnsName(checkInput)) {
+      setError(viewedAddress
+        ? 'Invalid wallet address to check.'
+        : 'Enter a wallet address to check, or connect your wallet.')
       return
     }
 
@@ -90,9 +87,22 @@ export default function TokenChecker() {
     setError(null)
     setResult(null)
 
+    // 0. Resolve ENS names first, so errors name the field that failed
+    let contractAddr, checkAddr
+    try {
+      contractAddr = isEnsName(contractInput) ? await resolveEnsName(contractInput, chainId) : contractInput
+      checkAddr    = isEnsName(checkInput) ? await resolveEnsName(checkInput, chainId) : checkInput
+    } catch (err) {
+      setError(err.message || 'Could not resolve this ENS name.')
+      setLoading(false)
+      return
+    }
+
     try {
-      // 1. Create a Provider — we only need to READ, so no signer needed
-      const provider = new ethers.BrowserProvider(window.ethereum)
+      // 1. Get a read-only Provider — we only need to READ, so no signer needed.
+      //    It talks to public RPC endpoints directly, so this works
+      //    even when no wallet is installed.
+      const provider = useWalletStore.getState().getReadProvider()
 
       // 2. Create a Contract instance
       //    ethers.Contract(address, abi, providerOrSigner)
@@ -105,11 +115,11 @@ export default function TokenChecker() {
       //    These are all "view" functions — they READ state, don't change it.
       //    So they're FREE and instant (no gas, no MetaMask popup).
       //    We call them all in parallel with Promise.all for speed.
-      const [rawBalance, symbol, decimals, name] = await Promise.all([
-        contract.balanceOf(checkAddr),   // returns BigInt in smallest units
-        contract.symbol(),               // returns string e.g. "LINK"
-        contract.decimals(),             // returns number e.g. 18
-        contract.name(),                 // returns string e.g. "ChainLink Token"
+      //    symbol/decimals/name never change, so getTokenMeta() only
+      //    reads them once per token and caches them (lib/tokenMeta.js).
+      const [rawBalance, { symbol, decimals, name }] = await Promise.all([
+        contract.balanceOf(checkAddr),          // returns BigInt in smallest units
+        getTokenMeta(chainId, contractAddr),    // e.g. { symbol: "LINK", decimals: 18, name: "ChainLink Token" }
       ])
 
       // 4. Format the balance
@@ -125,6 +135,7 @@ export default function TokenChecker() {
         decimals: decimals.toString(),
         contractAddress: contractAddr,
         checkedAddress: checkAddr,
+        checkedName:    isEnsName(checkInput) ? checkInput : null,
         hasBalance: parseFloat(balance) > 0,
       })
 
@@ -168,21 +179,25 @@ export default function TokenChecker() {
 
       <div className="token-body">
 
-        {/* Preset tokens */}
-        <div className="presets-section">
-          <span className="presets-label">Quick select (Sepolia)</span>
-          <div className="presets-row">
-            {PRESET_TOKENS.map(token => (
-              <button
-                key={token.address}
-                className={`preset-btn ${contractAddress === token.address ? 'active' : ''}`}
-                onClick={() => selectPreset(token)}
-              >
-                {token.symbol}
-              </button>
-            ))}
+        <NetworkGuard />
+
+        {/* Watched tokens for the current chain */}
+        {watchedTokens.length > 0 && (
+          <div className="presets-section">
+            <span className="presets-label">Quick select ({chain.shortName})</span>
+            <div className="presets-row">
+              {watchedTokens.map(token => (
+                <button
+                  key={token.address}
+                  className={`preset-btn ${contractAddress === token.address ? 'active' : ''}`}
+                  onClick={() => selectPreset(token)}
+                >
+                  {token.symbol}
+                </button>
+              ))}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Token contract address */}
         <div className="field">
@@ -190,7 +205,7 @@ export default function TokenChecker() {
           <input
             className="field-input"
             type="text"
-            placeholder="0x... (ERC20 contract address)"
+            placeholder="0x... or name.eth (ERC20 contract)"
             value={contractAddress}
             onChange={e => { setContractAddress(e.target.value); setResult(null); setError(null) }}
             disabled={loading}
@@ -202,13 +217,17 @@ export default function TokenChecker() {
         <div className="field">
           <label className="field-label">
             Wallet Address to Check
-            <span className="field-optional"> — leave empty to use connected wallet</span>
+            <span className="field-optional">
+              {viewedAddress && viewedAddress !== address
+                ? ' — leave empty to use the watched address'
+                : ' — leave empty to use connected wallet'}
+            </span>
           </label>
           <div className="amount-row">
             <input
               className="field-input"
               type="text"
-              placeholder="0x... (or leave empty)"
+              placeholder="0x..., name.eth (or leave empty)"
               value={walletAddress}
               onChange={e => { setWalletAddress(e.target.value); setError(null) }}
               disabled={loading}
@@ -237,7 +256,7 @@ export default function TokenChecker() {
         <button
           className="check-btn"
           onClick={checkBalance}
-          disabled={loading || !contractAddress}
+          disabled={loading || wrongNetwork || !contractAddress}
         >
           {loading ? (
             <><span className="status-spinner white" /> Querying Contract...</>
@@ -275,22 +294,26 @@ export default function TokenChecker() {
               <div className="meta-divider" />
               <div className="meta-item">
                 <span className="meta-label">Wallet</span>
-                <span className="meta-value">
-                  {result.checkedAddress.slice(0,6)}...{result.checkedAddress.slice(-4)}
+                <span className="meta-value" title={result.checkedAddress}>
+                  {checkedLabel ?? result.checkedName ?? `${result.checkedAddress.slice(0,6)}...${result.checkedAddress.slice(-4)}`}
                 </span>
               </div>
-              <div className="meta-divider" />
-              <div className="meta-item">
-                <span className="meta-label">Contract</span>
-                <a
-                  className="meta-link"
-                  href={`https://sepolia.etherscan.io/token/${result.contractAddress}`}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                >
-                  View ↗
-                </a>
-              </div>
+              {tokenUrl && (
+                <>
+                  <div className="meta-divider" />
+                  <div className="meta-item">
+                    <span className="meta-label">Contract</span>
+                    <a
+                      className="meta-link"
+                      href={tokenUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      View ↗
+                    </a>
+                  </div>
+                </>
+              )}
             </div>
 
           </div>
@@ -1,27 +1,86 @@
 // src/components/TxHistory.jsx
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useEffectEvent, useMemo, Fragment } from 'react'
 import { ethers } from 'ethers'
 import { useWalletStore } from '../store/walletStore'
+import { useAbiStore } from '../store/abiStore'
+import { useIndexerStore, LOOKBACK_BLOCKS } from '../store/indexerStore'
+import { getChain, getHistoryConfig, explorerTxUrl } from '../config/chains'
+import { findContact } from '../lib/addressBook'
+import {
+  ETHERSCAN_KEY, FEEDS, getHistoryBackend, fetchFeeds, fetchAllFeeds, fetchBlockByTime, mergeEntries, groupByHash, classifyEvent,
+  historySource, latestBlock, loadCachedHistory, saveCachedHistory,
+} from '../lib/history'
+import { toExportRows, toCsv, toJson } from '../lib/historyExport'
+import { downloadFile } from '../lib/download'
+import { cacheKey } from '../lib/cache'
+import { decodeCalldata, callLabel, formatArg, formatArgFull } from '../lib/decode'
+import PendingTxList from './PendingTxList'
+import AddressName from './AddressName'
 import './TxHistory.css'
 
-// ── Etherscan API URL ─────────────────────────────────────────
-// VITE_ prefix is required by Vite to expose env variables to the browser.
-// Without VITE_ prefix, the variable is undefined in the frontend.
-// Never store secrets without the VITE_ prefix check — but API keys
-// for public block explorers are fine to expose in frontend apps.
-const ETHERSCAN_KEY = import.meta.env.VITE_ETHERSCAN_API_KEY
+// Transactions per "Load more" click (per feed — see lib/history.js)
+const PAGE_SIZE = 25
 
-// V2 API — uses chainid=11155111 for Sepolia instead of a subdomain
-// Etherscan deprecated the old api-sepolia.etherscan.io/api endpoint
-const ETHERSCAN_API = (address) =>
-  `https://api.etherscan.io/v2/api?chainid=11155111&module=account&action=txlist&address=${address}&startblock=0&endblock=99999999&page=1&offset=10&sort=desc&apikey=${ETHERSCAN_KEY}`
+// Filter chips. With none selected every transaction shows;
+// otherwise a transaction shows if it matches ANY selected chip.
+const FILTERS = {
+  sent:     { label: 'Sent',     test: (c) => c.isSent },
+  received: { label: 'Received', test: (c) => !c.isSent },
+  failed:   { label: 'Failed',   test: (c) => c.isFailed },
+  contract: { label: 'Contract', test: (c) => c.isContract },
+}
+
+const EMPTY_FILTERS = { types: [], search: '', from: '', to: '' }
+
+// Helper: "YYYY-MM-DD" from a date input → unix seconds (start or end of that day)
+const dayStart = (day) => new Date(`${day}T00:00:00`).getTime() / 1000
+const dayEnd   = (day) => new Date(`${day}T23:59:59`).getTime() / 1000
+
+// Helper: convert Wei string to the native currency using its decimals
+const weiToEth = (wei, decimals = 18) => parseFloat(ethers.formatUnits(wei, decimals)).toFixed(6)
+
+// Helper: one transfer's amount e.g. "1,250.5 USDC", "#42 PUNK", "0.010000 ETH"
+const formatTransfer = (transfer, nativeCurrency) => {
+  if (transfer.kind === 'erc721') return `#${transfer.tokenID} ${transfer.tokenSymbol}`
+  if (transfer.kind === 'internal') return `${weiToEth(transfer.value, nativeCurrency.decimals)} ${nativeCurrency.symbol}`
+  const amount = parseFloat(ethers.formatUnits(transfer.value, Number(transfer.tokenDecimal)))
+  return `${amount.toLocaleString('en-US', { maximumFractionDigits: 6 })} ${transfer.tokenSymbol}`
+}
 
-// Helper: convert Wei string to ETH
-const weiToEth = (wei) => parseFloat(ethers.formatEther(wei)).toFixed(6)
+// Helper: the badges for an event — one per feed it appeared in
+const eventKinds = (event) => [...new Set([
+  ...(event.tx ? ['normal'] : []),
+  ...event.transfers.map(t => t.kind),
+])]
 
-// Helper: shorten address for display
-const short = (addr) => addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : '—'
+// ── matchesFilters() ──────────────────────────────────────────
+// Whether an event passes the current filters. Used for the
+// visible list AND exports, so an export is exactly what the
+// filters describe.
+//   ctx: { address, addressBook, chainId, nativeCurrency, abis }
+const matchesFilters = (event, filters, ctx) => {
+  const facts = classifyEvent(event, ctx.address)
+  if (filters.types.length > 0 && !filters.types.some(type => FILTERS[type].test(facts))) return false
+
+  const time = parseInt(event.timeStamp)
+  if (filters.from && time < dayStart(filters.from)) return false
+  if (filters.to && time > dayEnd(filters.to)) return false
+
+  const query = filters.search.trim().toLowerCase()
+  if (query) {
+    // Hash, counterparty (address or its address book label), or any amount/token
+    const label    = findContact(ctx.addressBook, facts.counterparty, ctx.chainId)?.label ?? ''
+    const haystack = [
+      event.hash, facts.counterparty, label,
+      event.tx && weiToEth(event.tx.value, ctx.nativeCurrency.decimals),
+      event.tx && callLabel(decodeCalldata(event.tx.input, { abis: ctx.abis, to: event.tx.to })),
+      ...event.transfers.map(t => formatTransfer(t, ctx.nativeCurrency)),
+    ]
+    if (!haystack.some(field => field?.toLowerCase().includes(query))) return false
+  }
+  return true
+}
 
 // Helper: convert Unix timestamp → readable date
 const formatDate = (timestamp) => {
@@ -33,55 +92,238 @@ const formatDate = (timestamp) => {
 }
 
 export default function TxHistory() {
-  const address     = useWalletStore(s => s.address)
-  const isConnected = useWalletStore(s => s.status === 'connected')
+  // The feed follows the viewed address — a selected watch-only
+  // address, otherwise the connected wallet
+  const address     = useWalletStore(s => s.viewAddress || s.address)
+  const watchEntry  = useWalletStore(s => s.watchlist.find(w => w.address === s.viewAddress))
+  const chainId     = useWalletStore(s => s.chainId)
+  const addressBook = useWalletStore(s => s.addressBook)
+  const abis        = useAbiStore(s => s.abis)
+  const hasAddress  = Boolean(address)
+
+  const chain = getChain(chainId)
+
+  // The chain's history backend (lib/historyBackends.js). Without
+  // one — e.g. a local devnet, or no API key — we build the history
+  // ourselves over JSON-RPC (store/indexerStore.js).
+  const backend  = useMemo(() => getHistoryBackend(chainId), [chainId])
+  const indexed  = !backend
+  const needsKey = getHistoryConfig(chainId).backend === 'etherscan' && !ETHERSCAN_KEY
+  const progress = useIndexerStore(s => (address ? s.progress[cacheKey(chainId, address)] : null))
+  const index    = useIndexerStore(s => (address && indexed ? s.indexes[cacheKey(chainId, address)] : null))
 
-  const [txs, setTxs]         = useState([])
-  const [loading, setLoading] = useState(false)
+  // Raw rows from every feed; grouped into one event per hash below
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(false)   // nothing to show yet
+  const [syncing, setSyncing] = useState(false)   // showing cached rows, fetching new ones
   const [error, setError]     = useState(null)
   const [fetched, setFetched] = useState(false)
 
-  const fetchHistory = async () => {
-    if (!address) return
+  // ── Pagination ───────────────────────────────────────────────
+  const [pages, setPages]             = useState(1)      // pages loaded so far
+  const [moreFeeds, setMoreFeeds]     = useState([])     // feeds that may have older rows
+  const [loadingMore, setLoadingMore] = useState(false)
+  const hasMore = moreFeeds.length > 0
 
-    // Guard: if no API key in .env, show a helpful message
-    if (!ETHERSCAN_KEY) {
-      setError('Missing VITE_ETHERSCAN_API_KEY in .env file. See instructions above.')
-      setFetched(true)
-      return
-    }
+  const events = useMemo(() => groupByHash(entries), [entries])
+
+  // ── Filters ──────────────────────────────────────────────────
+  // Plain component state: the refresh button keeps them, and
+  // keeps every page loaded so far (see syncHistory()).
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const isFiltering = filters.types.length > 0 || filters.search || filters.from || filters.to
+
+  // ── Export ───────────────────────────────────────────────────
+  const [exporting, setExporting]     = useState(null)   // format being exported
+  const [exportError, setExportError] = useState(null)
+
+  // Row whose decoded calldata is expanded (by hash)
+  const [expanded, setExpanded] = useState(null)
+
+  // Whether the viewed address and chain are still the ones a
+  // request was started for — a slow answer for the previous
+  // address or chain must not replace the list
+  const isCurrent = () => {
+    const current = useWalletStore.getState()
+    return (current.viewAddress || current.address) === address && current.chainId === chainId
+  }
 
+  // Shows rows from a backend and saves them to the history cache
+  //   result: { entries, pages, more }
+  const showHistory = (result) => {
+    setEntries(result.entries)
+    setPages(result.pages)
+    setMoreFeeds(result.more)
+    saveCachedHistory(chainId, address, historySource(backend), result)
+  }
+
+  // ── loadHistory() ────────────────────────────────────────────
+  // On an address or chain change: show the cached rows for it
+  // straight away (lib/history.js), then bring them up to date.
+  const loadHistory = async () => {
+    // Never leave the previous address's (or chain's) rows showing
+    setEntries([])
+    setMoreFeeds([])
+    setError(null)
+    setFetched(false)
+    if (indexed) return syncIndexed()
+
+    const cached = await loadCachedHistory(chainId, address, historySource(backend))
+    if (!isCurrent()) return
+    if (!cached) return fetchHistory(1)
+
+    setEntries(cached.entries)
+    setPages(cached.pages)
+    setMoreFeeds(cached.more)
+    setFetched(true)
+    syncHistory(cached)
+  }
+
+  // ── fetchHistory() ───────────────────────────────────────────
+  // Loads the newest `pageCount` pages of every feed — ONE
+  // request per feed (page 1 with a bigger offset) — replacing the list.
+  const fetchHistory = async (pageCount) => {
     setLoading(true)
     setError(null)
 
     try {
-      const response = await fetch(ETHERSCAN_API(address))
-      const data     = await response.json()
-
-      if (data.status === '1') {
-        setTxs(data.result)
-      } else if (data.message === 'No transactions found') {
-        setTxs([])
-      } else if (data.result?.includes('Invalid API Key')) {
-        setError('Invalid Etherscan API key. Check your .env file.')
-      } else if (data.result?.includes('rate limit')) {
-        setError('Rate limited. Wait a moment and refresh.')
-      } else {
-        setError('Could not fetch transactions. Try refreshing.')
-      }
+      const result = await fetchFeeds(Object.keys(FEEDS), address, backend, 1, PAGE_SIZE * pageCount)
+      if (isCurrent()) showHistory({ entries: result.entries, pages: pageCount, more: result.more })
+    } catch (err) {
+      if (isCurrent()) setError(err.message)
+    } finally {
+      if (isCurrent()) { setLoading(false); setFetched(true) }
+    }
+  }
+
+  // ── syncHistory() ────────────────────────────────────────────
+  // The refresh: only asks for rows from the newest block we have
+  // onwards (startblock) and merges them in. If a full page comes
+  // back, too much happened to patch — reload the pages instead.
+  const syncHistory = async (base = { entries, pages, more: moreFeeds }) => {
+    if (indexed) return syncIndexed()
+
+    setSyncing(true)
+    setError(null)
+
+    try {
+      const since = await fetchFeeds(Object.keys(FEEDS), address, backend, 1, PAGE_SIZE, { startblock: latestBlock(base.entries) })
+      if (!isCurrent()) return
+      if (since.more.length > 0) await fetchHistory(base.pages)
+      else showHistory({ ...base, entries: mergeEntries(since.entries, base.entries) })
+    } catch (err) {
+      if (isCurrent()) setError(err.message)
+    } finally {
+      if (isCurrent()) setSyncing(false)
+    }
+  }
+
+  // ── syncIndexed() ────────────────────────────────────────────
+  // The RPC indexer path: show what's already indexed straight
+  // away, then scan the new blocks. Everything indexed is loaded
+  // at once, so there is no "Load more".
+  const syncIndexed = async () => {
+    const { loadIndex, syncIndex } = useIndexerStore.getState()
+    const cached = await loadIndex(chainId, address)
+    if (!isCurrent()) return
+
+    if (cached) { setEntries(cached.entries); setFetched(true) }
+    setMoreFeeds([])
+    setLoading(!cached)
+    setSyncing(Boolean(cached))
+    setError(null)
+
+    try {
+      const synced = await syncIndex(chainId, address)
+      if (isCurrent()) setEntries(synced)
+    } catch (err) {
+      if (isCurrent()) setError(err.message)
+    } finally {
+      if (isCurrent()) { setLoading(false); setSyncing(false); setFetched(true) }
+    }
+  }
 
+  // ── loadMore() ───────────────────────────────────────────────
+  // Appends the next page of every feed that still has rows.
+  // New transactions may have arrived since, shifting pages —
+  // so rows we already have are skipped.
+  const loadMore = async () => {
+    setLoadingMore(true)
+    try {
+      const result = await fetchFeeds(moreFeeds, address, backend, pages + 1, PAGE_SIZE)
+      if (isCurrent()) showHistory({ entries: mergeEntries(entries, result.entries), pages: pages + 1, more: result.more })
     } catch (err) {
-      setError('Network error. Check your connection and try again.')
+      if (isCurrent()) setError(err.message)
     } finally {
-      setLoading(false)
-      setFetched(true)
+      setLoadingMore(false)
     }
   }
 
+  // Whenever the address OR the chain changes: cached rows first, then fresh ones.
+  // Leaving an address or chain stops its RPC scan (it resumes next time).
+  // An effect event, so it sees this render's state without being
+  // a reason to re-run the effect itself.
+  const onViewChange = useEffectEvent(() => {
+    if (address) loadHistory()
+    else { setEntries([]); setFetched(false); setError(null); setMoreFeeds([]) }
+  })
+
   useEffect(() => {
-    if (address) fetchHistory()
-    else { setTxs([]); setFetched(false); setError(null) }
-  }, [address])
+    onViewChange()
+    return () => useIndexerStore.getState().stopSync()
+  }, [address, chainId])
+
+  // ── Apply filters ────────────────────────────────────────────
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }))
+
+  const toggleType = (type) => setFilters(prev => ({
+    ...prev,
+    types: prev.types.includes(type) ? prev.types.filter(t => t !== type) : [...prev.types, type],
+  }))
+
+  const filterCtx     = { address, addressBook, chainId, nativeCurrency: chain.nativeCurrency, abis }
+  const visibleEvents = !hasAddress ? [] : events.filter(event => matchesFilters(event, filters, filterCtx))
+
+  // ── exportHistory() ──────────────────────────────────────────
+  // Downloads the FULL history (not just loaded pages) for the
+  // viewed address, chain and date range, then applies the same
+  // filters as the list. format: 'csv' | 'json'
+  const exportHistory = async (format) => {
+    setExporting(format)
+    setExportError(null)
+
+    try {
+      // Date range → block range, so we only download what's needed
+      // (the RPC index is already local — the filters below cover the dates)
+      const now   = Date.now() / 1000
+      const range = {}
+      if (!indexed && filters.from)
+        range.startblock = await fetchBlockByTime(backend, dayStart(filters.from), 'after')
+      if (!indexed && filters.to && dayEnd(filters.to) < now)
+        range.endblock = await fetchBlockByTime(backend, dayEnd(filters.to), 'before')
+
+      const all  = indexed
+        ? await useIndexerStore.getState().syncIndex(chainId, address)
+        : await fetchAllFeeds(Object.keys(FEEDS), address, backend, range)
+      const rows = toExportRows(
+        groupByHash(all).filter(event => matchesFilters(event, filters, filterCtx)),
+        address,
+        chain.nativeCurrency,
+      )
+
+      const name = `history-${chain.shortName.toLowerCase()}-${address}-${filters.from || 'start'}-${filters.to || 'latest'}`
+      if (format === 'csv') {
+        downloadFile(`${name}.csv`, toCsv(rows), 'text/csv')
+      } else {
+        const meta = { address, chainId, chain: chain.name, filters }
+        downloadFile(`${name}.json`, toJson(rows, meta))
+      }
+    } catch (err) {
+      setExportError(err.message)
+    } finally {
+      setExporting(null)
+    }
+  }
 
   return (
     <div className="tx-card">
@@ -90,21 +332,28 @@ export default function TxHistory() {
         <div className="tx-header-left">
           <span className="tx-icon">⇄</span>
           <span className="tx-title">Transaction History</span>
+          {watchEntry && (
+            <span className="tx-watch-badge" title={watchEntry.address}>
+              👁 {watchEntry.label}
+            </span>
+          )}
         </div>
         <div className="tx-header-right">
-          {isConnected && (
+          {hasAddress && (
             <span className="tx-count">
-              {txs.length > 0 ? `${txs.length} txns` : 'No txns'}
+              {events.length === 0 ? 'No txns'
+                : isFiltering ? `${visibleEvents.length} of ${events.length} txns`
+                : `${events.length} txns`}
             </span>
           )}
-          {isConnected && (
+          {hasAddress && (
             <button
               className="refresh-btn"
-              onClick={fetchHistory}
-              disabled={loading}
+              onClick={() => syncHistory()}
+              disabled={loading || syncing || loadingMore}
               title="Refresh"
             >
-              <span className={loading ? 'spin' : ''}>↻</span>
+              <span className={loading || syncing ? 'spin' : ''}>↻</span>
             </button>
           )}
         </div>
@@ -112,14 +361,97 @@ export default function TxHistory() {
 
       <div className="tx-body">
 
-        {!isConnected && (
+        {/* Transactions we sent that the explorer hasn't indexed yet */}
+        <PendingTxList address={address} chainId={chainId} />
+
+        {/* RPC indexer — where the list comes from, and scan progress */}
+        {hasAddress && indexed && (index || progress || needsKey) && (
+          <div className="tx-index-note">
+            {progress
+              ? `Indexing blocks ${progress.from.toLocaleString('en-US')}–${progress.to.toLocaleString('en-US')} · at ${progress.current.toLocaleString('en-US')}`
+              : index && `Indexed from ${chain.name} RPC · blocks ${index.firstBlock.toLocaleString('en-US')}–${index.lastBlock.toLocaleString('en-US')}`}
+            {/* No explorer key → the full-block RPC scan; say so, it's slow and partial */}
+            {needsKey && (
+              <span className="tx-index-hint">
+                No Etherscan API key: only the last {LOOKBACK_BLOCKS.toLocaleString('en-US')} blocks are scanned,
+                one RPC request per block. Set VITE_ETHERSCAN_API_KEY for full history.
+              </span>
+            )}
+          </div>
+        )}
+
+        {/* Filters — search, type chips, date range */}
+        {hasAddress && events.length > 0 && (
+          <div className="tx-filters">
+            <input
+              className="tx-search"
+              type="search"
+              placeholder="Search hash, address, label or amount"
+              value={filters.search}
+              onChange={e => updateFilter('search', e.target.value)}
+              spellCheck={false}
+            />
+            <div className="tx-filter-row">
+              {Object.entries(FILTERS).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  className={`tx-chip ${filters.types.includes(key) ? 'active' : ''}`}
+                  onClick={() => toggleType(key)}
+                >
+                  {label}
+                </button>
+              ))}
+              <input
+                className="tx-date-input"
+                type="date"
+                value={filters.from}
+                max={filters.to || undefined}
+                onChange={e => updateFilter('from', e.target.value)}
+                title="From date"
+              />
+              <span className="tx-date-sep">→</span>
+              <input
+                className="tx-date-input"
+                type="date"
+                value={filters.to}
+                min={filters.from || undefined}
+                onChange={e => updateFilter('to', e.target.value)}
+                title="To date"
+              />
+              {isFiltering && (
+                <button className="tx-chip clear" onClick={() => setFilters(EMPTY_FILTERS)}>
+                  Clear
+                </button>
+              )}
+            </div>
+
+            {/* Export — full history matching the filters above */}
+            <div className="tx-filter-row">
+              <span className="tx-export-label">Export</span>
+              {['csv', 'json'].map(format => (
+                <button
+                  key={format}
+                  className="tx-chip"
+                  onClick={() => exportHistory(format)}
+                  disabled={Boolean(exporting)}
+                  title={`Download every matching transaction as ${format.toUpperCase()}`}
+                >
+                  {exporting === format ? 'Exporting…' : format.toUpperCase()}
+                </button>
+              ))}
+              {exportError && <span className="tx-export-error">{exportError}</span>}
+            </div>
+          </div>
+        )}
+
+        {!hasAddress && (
           <div className="tx-empty">
             <span className="tx-empty-icon">⛓</span>
-            <p>Connect your wallet to view transaction history.</p>
+            <p>Connect your wallet or watch an address to view transaction history.</p>
           </div>
         )}
 
-        {isConnected && loading && (
+        {hasAddress && loading && (
           <div className="tx-loading">
             {[...Array(3)].map((_, i) => (
               <div key={i} className="tx-skeleton">
@@ -136,7 +468,7 @@ export default function TxHistory() {
           </div>
         )}
 
-        {isConnected && !loading && error && (
+        {hasAddress && !loading && error && (
           <div className="tx-error-box">
             <div className="error-icon-wrap">!</div>
             <div className="error-text">
@@ -146,62 +478,142 @@ export default function TxHistory() {
           </div>
         )}
 
-        {isConnected && !loading && !error && fetched && txs.length === 0 && (
+        {hasAddress && !loading && !error && fetched && events.length === 0 && (
           <div className="tx-empty">
             <span className="tx-empty-icon">📭</span>
-            <p>No transactions found on Sepolia yet.</p>
+            <p>No transactions found on {chain.name} yet.</p>
             <p className="tx-empty-sub">Send some ETH using the form above to create your first one.</p>
           </div>
         )}
 
-        {isConnected && !loading && txs.length > 0 && (
+        {hasAddress && !loading && events.length > 0 && visibleEvents.length === 0 && (
+          <div className="tx-empty">
+            <span className="tx-empty-icon">⌕</span>
+            <p>No loaded transactions match your filters.</p>
+            <p className="tx-empty-sub">
+              {hasMore ? 'Load more to search further back.' : 'Try clearing some filters.'}
+            </p>
+          </div>
+        )}
+
+        {hasAddress && !loading && visibleEvents.length > 0 && (
           <div className="tx-list">
-            {txs.map((tx) => {
-              const isSent     = tx.from.toLowerCase() === address.toLowerCase()
-              const isFailed   = tx.isError === '1'
-              const ethValue   = weiToEth(tx.value)
-              const isContract = tx.input !== '0x'
+            {visibleEvents.map((event) => {
+              const { tx, transfers } = event
+              const { isSent, isFailed, isContract, isSwap, counterparty } = classifyEvent(event, address)
+              const txUrl = explorerTxUrl(chainId, event.hash)
+              const self  = address.toLowerCase()
+
+              // The transaction's own value — skipped when it's 0 and
+              // the interesting part is the transfers
+              const showNative = tx && (tx.value !== '0' || transfers.length === 0)
+
+              // Contract calls: which function, with which arguments
+              const decoded    = isContract ? decodeCalldata(tx.input, { abis, to: tx.to }) : null
+              const isExpanded = expanded === event.hash
 
               return (
-                <div key={tx.hash} className={`tx-row ${isFailed ? 'tx-failed' : ''}`}>
-
-                  <div className={`tx-direction ${isSent ? 'sent' : 'received'}`}>
-                    <span className="tx-arrow">{isSent ? '↑' : '↓'}</span>
-                    <div className="tx-direction-info">
-                      <span className="tx-type">
-                        {isFailed ? 'Failed' : isContract ? 'Contract' : isSent ? 'Sent' : 'Received'}
-                      </span>
-                      <span className="tx-date">{formatDate(tx.timeStamp)}</span>
+                <Fragment key={event.hash}>
+                  <div className={`tx-row ${isFailed ? 'tx-failed' : ''}`}>
+
+                    <div className={`tx-direction ${isSent ? 'sent' : 'received'}`}>
+                      <span className="tx-arrow">{isSwap ? '⇅' : isSent ? '↑' : '↓'}</span>
+                      <div className="tx-direction-info">
+                        <span className="tx-type">
+                          {isFailed ? 'Failed' : isSwap ? 'Swap' : isContract ? (callLabel(decoded) ?? 'Contract') : isSent ? 'Sent' : 'Received'}
+                        </span>
+                        {decoded?.name && decoded.args.length > 0 && (
+                          <span className="tx-call-args">
+                            {decoded.args.map(a => `${a.name}: ${formatArg(a.value, a.type)}`).join(' · ')}
+                          </span>
+                        )}
+                        <span className="tx-date">{formatDate(event.timeStamp)}</span>
+                        <span className="tx-badges">
+                          {eventKinds(event).map(kind => (
+                            <span key={kind} className={`tx-badge kind-${kind}`}>{FEEDS[kind].badge}</span>
+                          ))}
+                        </span>
+                      </div>
                     </div>
-                  </div>
 
-                  <div className="tx-address-col">
-                    <span className="tx-address-label">{isSent ? 'To' : 'From'}</span>
-                    <span className="tx-address-value">
-                      {short(isSent ? tx.to : tx.from)}
-                    </span>
-                  </div>
+                    <div className="tx-address-col">
+                      <span className="tx-address-label">{isSent ? 'To' : 'From'}</span>
+                      {/* ENS primary name when the counterparty has one */}
+                      <AddressName className="tx-address-value" address={counterparty} />
+                    </div>
+
+                    <div className="tx-value-col">
+                      {showNative && (
+                        <span className={`tx-value ${isSent ? 'value-sent' : 'value-received'}`}>
+                          {isSent ? '−' : '+'}{weiToEth(tx.value, chain.nativeCurrency.decimals)} {chain.nativeCurrency.symbol}
+                        </span>
+                      )}
+                      {/* Token / internal movements, signed from the viewed address' side */}
+                      {transfers.map(t => {
+                        const out = t.from.toLowerCase() === self
+                        const inc = t.to?.toLowerCase() === self
+                        return (
+                          <span
+                            key={`${t.kind}:${t.logIndex ?? t.traceId ?? ''}:${t.tokenID ?? ''}`}
+                            className={`tx-value ${out ? 'value-sent' : inc ? 'value-received' : ''}`}
+                          >
+                            {out ? '−' : inc ? '+' : ''}{formatTransfer(t, chain.nativeCurrency)}
+                          </span>
+                        )
+                      })}
+                      {txUrl && (
+                        <a
+                          className="tx-link"
+                          href={txUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
+                          ↗ Explorer
+                        </a>
+                      )}
+                      {decoded && (
+                        <button className="tx-details-btn" onClick={() => setExpanded(isExpanded ? null : event.hash)}>
+                          {isExpanded ? 'Hide call ▴' : 'Call ▾'}
+                        </button>
+                      )}
+                    </div>
 
-                  <div className="tx-value-col">
-                    <span className={`tx-value ${isSent ? 'value-sent' : 'value-received'}`}>
-                      {isSent ? '−' : '+'}{ethValue} ETH
-                    </span>
-                    <a
-                      className="tx-link"
-                      href={`https://sepolia.etherscan.io/tx/${tx.hash}`}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                    >
-                      ↗ Etherscan
-                    </a>
                   </div>
 
-                </div>
+                  {/* Full decoded calldata */}
+                  {isExpanded && (
+                    <div className="tx-call-details">
+                      <div className="tx-call-head">
+                        <span className="tx-call-signature">{decoded.signature ?? 'Unknown function'}</span>
+                        <span className="tx-call-meta">
+                          selector {decoded.selector}{decoded.source && ` · decoded with ${decoded.source}`}
+                        </span>
+                      </div>
+                      {decoded.args.map(arg => (
+                        <div key={arg.name} className="tx-call-arg">
+                          <span className="tx-call-arg-name">{arg.name} <em>{arg.type}</em></span>
+                          <pre className="tx-call-arg-value">{formatArgFull(arg.value)}</pre>
+                        </div>
+                      ))}
+                      {!decoded.name && (
+                        <span className="tx-call-meta">Import this contract's ABI to decode it.</span>
+                      )}
+                      <span className="tx-call-arg-name">Raw calldata</span>
+                      <pre className="tx-call-arg-value raw">{tx.input}</pre>
+                    </div>
+                  )}
+                </Fragment>
               )
             })}
           </div>
         )}
 
+        {hasAddress && !loading && hasMore && (
+          <button className="tx-load-more" onClick={loadMore} disabled={loadingMore}>
+            {loadingMore ? <><span className="status-spinner" /> Loading…</> : `Load ${PAGE_SIZE} more`}
+          </button>
+        )}
+
       </div>
     </div>
   )
@@ -11,6 +11,9 @@
 // ─────────────────────────────────────────────────────────────
 
 import { useWalletStore } from '../store/walletStore'
+import { CHAINS, getChain, isSupportedChain } from '../config/chains'
+import { useEnsProfile } from '../hooks/useEns'
+import { useAddressLabel } from '../hooks/useAddressLabel'
 import './WalletCard.css'
 
 export default function WalletCard() {
@@ -20,19 +23,40 @@ export default function WalletCard() {
   const address         = useWalletStore(s => s.address)
   const balance         = useWalletStore(s => s.balance)
   const network         = useWalletStore(s => s.network)
+  const chainId         = useWalletStore(s => s.chainId)
   const status          = useWalletStore(s => s.status)
   const error           = useWalletStore(s => s.error)
   const connect         = useWalletStore(s => s.connect)
   const disconnect      = useWalletStore(s => s.disconnect)
   const getShortAddress = useWalletStore(s => s.getShortAddress)
+  const switchChain     = useWalletStore(s => s.switchChain)
+  const switchingChain  = useWalletStore(s => s.switchingChain)
+  const networkError    = useWalletStore(s => s.networkError)
+  const wallets         = useWalletStore(s => s.wallets)
+  const walletRdns      = useWalletStore(s => s.walletRdns)
 
   // Derived booleans — just for cleaner JSX below
   const isConnected  = status === 'connected'
   const isConnecting = status === 'connecting'
+  const isRestoring  = status === 'restoring'
 
   // Call the getter function from the store
   const shortAddress = getShortAddress()
 
+  // Reverse-resolved ENS primary name + avatar (null if none)
+  const ensProfile = useEnsProfile(address)
+
+  // Address book label for our own address e.g. "Team deployer"
+  const addressLabel = useAddressLabel(address)
+
+  // Look up the current chain in the registry (label + currency symbol)
+  const chain  = getChain(chainId)
+  const symbol = chain.nativeCurrency.symbol
+  const isSupported = isSupportedChain(chainId)
+
+  // Name of the wallet we're talking to (EIP-6963), for button labels
+  const walletName = wallets.find(w => w.info.rdns === walletRdns)?.info.name || 'MetaMask'
+
   return (
     <div className="wallet-wrapper">
       <div className="grid-bg" aria-hidden="true" />
@@ -49,11 +73,21 @@ export default function WalletCard() {
             <span className="status-dot" />
             {status === 'connected'  ? 'Live'
            : status === 'connecting' ? 'Connecting'
+           : status === 'restoring'  ? 'Restoring'
            : 'Offline'}
           </div>
         </div>
 
-        {!isConnected ? (
+        {isRestoring ? (
+
+          // RESTORING STATE — silent reconnect on page load is in progress.
+          // Shown instead of the connect hero so it doesn't flash.
+          <div className="restoring-state">
+            <span className="spinner" />
+            <span className="restoring-text">Restoring your session...</span>
+          </div>
+
+        ) : !isConnected ? (
 
           // DISCONNECTED STATE
           <div className="disconnected-state">
@@ -65,7 +99,7 @@ export default function WalletCard() {
             </div>
             <h1 className="hero-title">Connect Your Wallet</h1>
             <p className="hero-subtitle">
-              Link MetaMask to view your address, balance, and network in real time.
+              Link your wallet to view your address, balance, and network in real time.
             </p>
             {error && (
               <div className="error-box">
@@ -73,22 +107,42 @@ export default function WalletCard() {
                 {error}
               </div>
             )}
-            <button className="connect-btn" onClick={connect} disabled={isConnecting}>
-              {isConnecting ? (
-                <><span className="spinner" />Waiting for MetaMask...</>
-              ) : (
-                <>
-                  <svg className="metamask-icon" viewBox="0 0 35 33" fill="none">
-                    <path d="M32.958 1L19.888 10.44l2.44-5.77L32.958 1z" fill="#E17726"/>
-                    <path d="M2.042 1l12.95 9.54-2.32-5.87L2.042 1z" fill="#E27625"/>
-                    <path d="M28.17 23.44l-3.48 5.33 7.45 2.05 2.14-7.27-6.11-.11zM.77 23.55l2.12 7.27 7.44-2.05-3.47-5.33-6.09.11z" fill="#E27625"/>
-                    <path d="M9.9 14.48l-2.08 3.14 7.4.33-.25-7.96-5.07 4.49zM25.1 14.48l-5.1-4.59-.17 8.06 7.4-.33-2.13-3.14z" fill="#E27625"/>
-                    <path d="M10.33 28.77l4.47-2.17-3.85-3-.62 5.17zM20.2 26.6l4.46 2.17-.61-5.17-3.85 3z" fill="#E27625"/>
-                  </svg>
-                  Connect MetaMask
-                </>
-              )}
-            </button>
+            {isConnecting ? (
+              <button className="connect-btn" disabled>
+                <span className="spinner" />Waiting for {walletName}...
+              </button>
+            ) : wallets.length > 0 ? (
+
+              // WALLET CHOOSER — one button per EIP-6963 announced wallet
+              <div className="wallet-list">
+                {wallets.map(({ info }) => (
+                  <button
+                    key={info.uuid}
+                    className={`wallet-option ${info.rdns === walletRdns ? 'last-used' : ''}`}
+                    onClick={() => connect(info.rdns)}
+                  >
+                    <img className="wallet-option-icon" src={info.icon} alt="" />
+                    <span className="wallet-option-name">{info.name}</span>
+                    {info.rdns === walletRdns && (
+                      <span className="wallet-option-tag">Last used</span>
+                    )}
+                  </button>
+                ))}
+              </div>
+
+            ) : (
+              // No EIP-6963 wallets announced — fall back to window.ethereum
+              <button className="connect-btn" onClick={() => connect()}>
+                <svg className="metamask-icon" viewBox="0 0 35 33" fill="none">
+                  <path d="M32.958 1L19.888 10.44l2.44-5.77L32.958 1z" fill="#E17726"/>
+                  <path d="M2.042 1l12.95 9.54-2.32-5.87L2.042 1z" fill="#E27625"/>
+                  <path d="M28.17 23.44l-3.48 5.33 7.45 2.05 2.14-7.27-6.11-.11zM.77 23.55l2.12 7.27 7.44-2.05-3.47-5.33-6.09.11z" fill="#E27625"/>
+                  <path d="M9.9 14.48l-2.08 3.14 7.4.33-.25-7.96-5.07 4.49zM25.1 14.48l-5.1-4.59-.17 8.06 7.4-.33-2.13-3.14z" fill="#E27625"/>
+                  <path d="M10.33 28.77l4.47-2.17-3.85-3-.62 5.17zM20.2 26.6l4.46 2.17-.61-5.17-3.85 3z" fill="#E27625"/>
+                </svg>
+                Connect MetaMask
+              </button>
+            )}
           </div>
 
         ) : (
@@ -96,22 +150,49 @@ export default function WalletCard() {
           // CONNECTED STATE
           <div className="connected-state">
             <div className="network-row">
-              <span className="network-pill">
+              <span className={`network-pill ${isSupported ? '' : 'unsupported'}`}>
                 <span className="network-pulse" />
                 {network}
               </span>
+
+              {/* Network picker — switching goes through the wallet.
+                  chainId updates when the wallet fires "chainChanged". */}
+              <select
+                className="network-select"
+                value={isSupported ? chainId : ''}
+                onChange={e => switchChain(Number(e.target.value))}
+                disabled={switchingChain}
+                title="Switch network"
+              >
+                {!isSupported && <option value="" disabled>Switch network…</option>}
+                {Object.values(CHAINS).map(c => (
+                  <option key={c.id} value={c.id}>{c.name}</option>
+                ))}
+              </select>
             </div>
+            {networkError && (
+              <div className="error-box">
+                <span className="error-icon">!</span>
+                {networkError}
+              </div>
+            )}
             <div className="balance-display">
-              <span className="balance-label">ETH Balance</span>
+              <span className="balance-label">{symbol} Balance</span>
               <div className="balance-amount">
                 <span className="balance-number">{balance}</span>
-                <span className="balance-unit">ETH</span>
+                <span className="balance-unit">{symbol}</span>
               </div>
             </div>
             <div className="address-block">
-              <span className="address-label">Wallet Address</span>
+              <span className="address-label">
+                Wallet Address
+                {addressLabel && <span className="address-book-tag">{addressLabel}</span>}
+              </span>
               <div className="address-row">
-                <span className="address-short">{shortAddress}</span>
+                <span className="address-short">
+                  {ensProfile?.avatar && <img className="ens-avatar" src={ensProfile.avatar} alt="" />}
+                  {ensProfile?.name ?? shortAddress}
+                </span>
                 <button className="copy-btn" onClick={() => navigator.clipboard.writeText(address)} title="Copy full address">
                   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                     <rect x="9" y="9" width="13" height="13" rx="2" />
@@ -124,7 +205,7 @@ export default function WalletCard() {
             <div className="stats-row">
               <div className="stat">
                 <span className="stat-label">Chain</span>
-                <span className="stat-value">Sepolia</span>
+                <span className="stat-value">{chain.shortName}</span>
               </div>
               <div className="stat-divider" />
               <div className="stat">
@@ -134,7 +215,7 @@ export default function WalletCard() {
               <div className="stat-divider" />
               <div className="stat">
                 <span className="stat-label">Standard</span>
-                <span className="stat-value">ERC-20</span>
+                <span className="stat-value">ERC-20 · 721 · 1155</span>
               </div>
             </div>
             <button className="disconnect-btn" onClick={disconnect}>
@@ -0,0 +1,82 @@
+// src/config/abis.js
+// ─────────────────────────────────────────────────────────────
+// Minimal human-readable ABIs shared across components.
+//
+// We only include the functions we actually call — a common
+// pattern that keeps code clean. ethers.Contract() accepts these
+// strings directly.
+// ─────────────────────────────────────────────────────────────
+
+// ── Minimal ERC20 ABI ─────────────────────────────────────────
+// A full ERC20 ABI has ~10 functions — we only include what we call.
+export const ERC20_ABI = [
+  // balanceOf: given a wallet address, returns token balance in smallest units
+  'function balanceOf(address account) view returns (uint256)',
+  // symbol: returns the ticker e.g. "USDC", "LINK", "DAI"
+  'function symbol() view returns (string)',
+  // decimals: returns how many decimal places e.g. USDC=6, ETH=18, LINK=18
+  'function decimals() view returns (uint8)',
+  // name: returns the full name e.g. "USD Coin"
+  'function name() view returns (string)',
+  // transfer: moves tokens from the signer to another address (costs gas)
+  'function transfer(address to, uint256 amount) returns (bool)',
+  // allowance: how much `spender` may still move out of `owner`'s balance
+  'function allowance(address owner, address spender) view returns (uint256)',
+  // approve: sets the signer's allowance for `spender` (0 = revoke)
+  'function approve(address spender, uint256 amount) returns (bool)',
+  // Approval: logged on every approve() — how we find a wallet's spenders
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
+]
+
+// ── ERC-165 interface detection ───────────────────────────────
+// Contracts that implement ERC-165 answer supportsInterface(id)
+// for each standard they follow — how we tell 721 from 1155.
+export const ERC165_ABI = [
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+]
+
+// Interface ids (XOR of the standard's function selectors)
+export const INTERFACE_IDS = {
+  erc721:         '0x80ac58cd',
+  erc721Metadata: '0x5b5e139f',
+  erc1155:        '0xd9b67a26',
+}
+
+// ── Minimal ERC721 ABI ────────────────────────────────────────
+export const ERC721_ABI = [
+  // name / symbol: the collection's name e.g. "Bored Ape Yacht Club", "BAYC"
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  // ownerOf: who holds token `tokenId` right now
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  // tokenURI: where the token's metadata JSON lives (optional extension)
+  'function tokenURI(uint256 tokenId) view returns (string)',
+  // safeTransferFrom: moves a token; reverts if `to` is a contract that can't receive NFTs
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+  // Transfer: same signature as ERC20's, but the 3rd param (tokenId) is indexed too
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+]
+
+// ── Minimal ERC1155 ABI ───────────────────────────────────────
+// One contract holds many token ids, each with a balance.
+export const ERC1155_ABI = [
+  // balanceOf: how many of token `id` an account holds
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  // uri: metadata URI template for all ids — "{id}" is replaced by the hex id
+  'function uri(uint256 id) view returns (string)',
+  // safeTransferFrom: moves `amount` of token `id`; `data` goes to the receiver hook
+  'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+  // TransferSingle / TransferBatch: logged on every move, mint and burn
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+]
+
+// ── ERC-1271 (contract wallet signatures) ─────────────────────
+// Smart contract wallets (Safe, Argent…) can't produce an ECDSA
+// signature of their own; they answer "is this valid for me?"
+// with the magic value 0x1626ba7e instead.
+export const ERC1271_ABI = [
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)',
+]
+
+export const ERC1271_MAGIC_VALUE = '0x1626ba7e'
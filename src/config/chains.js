@@ -0,0 +1,206 @@
+// src/config/chains.js
+// ─────────────────────────────────────────────────────────────
+// The CHAIN REGISTRY — the single source of truth for every
+// network the dashboard knows about.
+//
+// Every component reads the store's `chainId` and looks the
+// chain up here, so nothing in the app hardcodes "Sepolia".
+// To support a new network, add one entry below — that's it.
+//
+// Each entry holds:
+//   - name / shortName   → labels for the UI
+//   - nativeCurrency     → symbol + decimals of the gas token
+//   - rpcUrls            → public JSON-RPC endpoints (see getRpcUrls)
+//   - explorerUrl        → block explorer base URL (or null)
+//   - history            → where TxHistory reads from (see getHistoryConfig)
+//   - ensChainId         → chain whose ENS registry names resolve on (or null)
+//   - tokens             → preset ERC20 tokens, watched by default (see tokenStore.js)
+// ─────────────────────────────────────────────────────────────
+
+// The chain we assume before a wallet tells us otherwise.
+// Set VITE_DEFAULT_CHAIN_ID=31337 in .env to work against anvil.
+export const DEFAULT_CHAIN_ID = Number(import.meta.env.VITE_DEFAULT_CHAIN_ID) || 11155111
+
+export const CHAINS = {
+  1: {
+    id:        1,
+    name:      'Ethereum Mainnet',
+    shortName: 'Ethereum',
+    testnet:   false,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [
+      'https://ethereum-rpc.publicnode.com',
+      'https://eth.llamarpc.com',
+    ],
+    explorerUrl:      'https://etherscan.io',
+    history:          { backend: 'etherscan' },
+    ensChainId:       1,
+    tokens: [
+      { name: 'USD Coin',      symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+      { name: 'Wrapped Ether', symbol: 'WETH', address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 },
+      { name: 'Chainlink',     symbol: 'LINK', address: '0x514910771AF9Ca656af840dff83E8264EcF986CA', decimals: 18 },
+      { name: 'Dai',           symbol: 'DAI',  address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18 },
+    ],
+  },
+
+  11155111: {
+    id:        11155111,
+    name:      'Sepolia Testnet',
+    shortName: 'Sepolia',
+    testnet:   true,
+    nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [
+      'https://ethereum-sepolia-rpc.publicnode.com',
+      'https://rpc.sepolia.org',
+    ],
+    explorerUrl:      'https://sepolia.etherscan.io',
+    history:          { backend: 'etherscan' },
+    ensChainId:       11155111,
+    // Real ERC20 contracts deployed on Sepolia testnet
+    tokens: [
+      { name: 'Chainlink',       symbol: 'LINK', address: '0x779877A7B0D9E8603169DdbD7836e478b4624789', decimals: 18 },
+      { name: 'Wrapped Ether',   symbol: 'WETH', address: '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14', decimals: 18 },
+      { name: 'USD Coin (Test)', symbol: 'USDC', address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238', decimals: 6 },
+    ],
+  },
+
+  137: {
+    id:        137,
+    name:      'Polygon',
+    shortName: 'Polygon',
+    testnet:   false,
+    nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 },
+    rpcUrls: [
+      'https://polygon-rpc.com',
+      'https://polygon-bor-rpc.publicnode.com',
+    ],
+    explorerUrl:      'https://polygonscan.com',
+    history:          { backend: 'etherscan' },
+    // ENS lives on Ethereum — names resolve there for this chain too
+    ensChainId:       1,
+    tokens: [
+      { name: 'USD Coin',      symbol: 'USDC', address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6 },
+      { name: 'Wrapped Ether', symbol: 'WETH', address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', decimals: 18 },
+      { name: 'Chainlink',     symbol: 'LINK', address: '0x53E0bca35eC356BD5ddDFebbD1Fc0fD03FaBad39', decimals: 18 },
+    ],
+  },
+
+  // Polygon's testnet (Mumbai, 80001, has been shut down)
+  80002: {
+    id:        80002,
+    name:      'Polygon Amoy Testnet',
+    shortName: 'Amoy',
+    testnet:   true,
+    nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 },
+    rpcUrls: [
+      'https://rpc-amoy.polygon.technology',
+      'https://polygon-amoy-bor-rpc.publicnode.com',
+    ],
+    explorerUrl:      'https://amoy.polygonscan.com',
+    history:          { backend: 'etherscan' },
+    ensChainId:       null,
+    tokens: [],
+  },
+
+  // Local devnet — anvil and hardhat both default to chain 31337
+  31337: {
+    id:        31337,
+    name:      'Local Devnet',
+    shortName: 'Devnet',
+    testnet:   true,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [
+      'http://127.0.0.1:8545',
+    ],
+    explorerUrl:      null,
+    history:          { backend: 'rpc' },
+    ensChainId:       null,
+    tokens: [],
+  },
+}
+
+// ── getChain() ────────────────────────────────────────────────
+// Looks a chain up by id. Unknown chains still get a usable
+// entry (generic label, 18-decimal "ETH", no explorer) so the
+// UI never has to null-check the result.
+export const getChain = (chainId) => {
+  const id = Number(chainId ?? DEFAULT_CHAIN_ID)
+  return CHAINS[id] || {
+    id,
+    name:      `Chain ID: ${id}`,
+    shortName: `Chain ${id}`,
+    testnet:   false,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls:          [],
+    explorerUrl:      null,
+    history:          { backend: 'rpc' },
+    ensChainId:       null,
+    tokens:           [],
+  }
+}
+
+// Readable network name e.g. "Sepolia Testnet" or "Chain ID: 10"
+export const getNetworkName = (chainId) => getChain(chainId).name
+
+export const isSupportedChain = (chainId) => chainId != null && Boolean(CHAINS[chainId])
+
+// Chain to resolve ENS names on, or null when ENS isn't available
+export const getEnsChainId = (chainId) => getChain(chainId).ensChainId
+
+// ── getRpcUrls() ──────────────────────────────────────────────
+// JSON-RPC endpoints used for READS (balances, view calls).
+// Override any chain from .env with a comma-separated list:
+//   VITE_RPC_URLS_1=https://my-node.example,https://backup.example
+//   VITE_RPC_URLS_31337=http://127.0.0.1:8545
+export const getRpcUrls = (chainId) => {
+  const override = import.meta.env[`VITE_RPC_URLS_${chainId}`]
+  if (override) return override.split(',').map(url => url.trim()).filter(Boolean)
+  return getChain(chainId).rpcUrls
+}
+
+// ── getHistoryConfig() ────────────────────────────────────────
+// Where TxHistory reads from: { backend, url }
+//   backend: 'etherscan' | 'blockscout' | 'custom' | 'rpc'
+//   url:     the API root (optional for Etherscan)
+// 'rpc' means no explorer — the app indexes blocks itself.
+// Override any chain from .env, e.g. to use a local mock server:
+//   VITE_HISTORY_BACKEND_31337=custom
+//   VITE_HISTORY_URL_31337=http://127.0.0.1:4000
+export const getHistoryConfig = (chainId) => {
+  const { history } = getChain(chainId)
+  const backend = import.meta.env[`VITE_HISTORY_BACKEND_${chainId}`] || history.backend
+  const url     = import.meta.env[`VITE_HISTORY_URL_${chainId}`] || (backend === history.backend ? history.url : undefined)
+  return { backend, url }
+}
+
+// ── toAddChainParams() ────────────────────────────────────────
+// Builds the EIP-3085 payload for wallet_addEthereumChain.
+// Wallets expect the chain id as a hex string e.g. "0xaa36a7".
+export const toAddChainParams = (chainId) => {
+  const chain = getChain(chainId)
+  return {
+    chainId:           `0x${chain.id.toString(16)}`,
+    chainName:         chain.name,
+    nativeCurrency:    chain.nativeCurrency,
+    rpcUrls:           chain.rpcUrls,
+    blockExplorerUrls: chain.explorerUrl ? [chain.explorerUrl] : undefined,
+  }
+}
+
+// ── Explorer link helpers ─────────────────────────────────────
+// Return null when the chain has no explorer, so components can
+// simply skip rendering the link.
+export const explorerTxUrl = (chainId, hash) => {
+  const { explorerUrl } = getChain(chainId)
+  return explorerUrl ? `${explorerUrl}/tx/${hash}` : null
+}
+
+export const explorerAddressUrl = (chainId, address) => {
+  const { explorerUrl } = getChain(chainId)
+  return explorerUrl ? `${explorerUrl}/address/${address}` : null
+}
+
+export const explorerTokenUrl = (chainId, tokenAddress) => {
+  const { explorerUrl } = getChain(chainId)
+  return explorerUrl ? `${explorerUrl}/token/${tokenAddress}` : null
+}
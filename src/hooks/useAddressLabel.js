@@ -0,0 +1,20 @@
+// src/hooks/useAddressLabel.js
+// ─────────────────────────────────────────────────────────────
+// The label we know an address by, or null:
+//   1. an address book contact for the current chain
+//   2. a watch-only address label (Portfolio)
+// ─────────────────────────────────────────────────────────────
+
+import { useWalletStore } from '../store/walletStore'
+import { findContact } from '../lib/addressBook'
+
+export function useAddressLabel(address) {
+  // The selector returns a plain string, so components only
+  // re-render when THIS address's label changes
+  return useWalletStore(s => {
+    if (!address) return null
+    const contact = findContact(s.addressBook, address, s.chainId)
+    if (contact) return contact.label
+    return s.watchlist.find(w => w.address.toLowerCase() === address.toLowerCase())?.label ?? null
+  })
+}
@@ -0,0 +1,71 @@
+// src/hooks/useEns.js
+// ─────────────────────────────────────────────────────────────
+// React wrappers around src/lib/ens.js.
+//
+//   useEnsProfile(address) → { name, avatar } or null
+//   useEnsAddress(input)   → resolves an input that may be an
+//                            ENS name or a plain 0x address
+//
+// Both follow the store's chainId. Results are kept together
+// with the key they were loaded for, so a stale answer for an
+// old input is never shown.
+// ─────────────────────────────────────────────────────────────
+
+import { useState, useEffect } from 'react'
+import { ethers } from 'ethers'
+import { useWalletStore } from '../store/walletStore'
+import { isEnsName, resolveEnsName, lookupEnsProfile } from '../lib/ens'
+
+export function useEnsProfile(address) {
+  const chainId = useWalletStore(s => s.chainId)
+  const [loaded, setLoaded] = useState(null)   // { key, profile }
+
+  const key = address ? `${chainId}:${address.toLowerCase()}` : null
+
+  useEffect(() => {
+    if (!key) return
+
+    let cancelled = false
+    lookupEnsProfile(address, chainId).then(profile => {
+      if (!cancelled) setLoaded({ key, profile })
+    })
+    return () => { cancelled = true }
+  }, [key, address, chainId])
+
+  return loaded?.key === key ? loaded.profile : null
+}
+
+// Returns { address, name, resolving, error }:
+//   - a valid 0x input comes straight back as address
+//   - an ENS name resolves to address (resolving while in flight)
+//   - anything else gives address: null and no error, so the
+//     caller's own validation decides what to say
+export function useEnsAddress(input) {
+  const chainId = useWalletStore(s => s.chainId)
+  const [loaded, setLoaded] = useState(null)   // { key, address } or { key, error }
+
+  const value = input?.trim() ?? ''
+  const name  = isEnsName(value) ? value : null
+  const key   = name ? `${chainId}:${name.toLowerCase()}` : null
+
+  useEffect(() => {
+    if (!key) return
+
+    let cancelled = false
+    resolveEnsName(name, chainId)
+      .then(address => { if (!cancelled) setLoaded({ key, address }) })
+      .catch(err => { if (!cancelled) setLoaded({ key, error: err.message || 'Could not resolve this name.' }) })
+    return () => { cancelled = true }
+  }, [key, name, chainId])
+
+  if (!name)
+    return { address: ethers.isAddress(value) ? value : null, name: null, resolving: false, error: null }
+
+  const result = loaded?.key === key ? loaded : null
+  return {
+    address:   result?.address ?? null,
+    name,
+    resolving: !result,
+    error:     result?.error ?? null,
+  }
+}
@@ -1,14 +1,8 @@
 // src/hooks/useWallet.js
 import { useState, useCallback } from 'react'
 import { ethers } from 'ethers'
-
-// Network names map
-const NETWORKS = {
-  1: 'Ethereum Mainnet',
-  11155111: 'Sepolia Testnet',
-  137: 'Polygon',
-  80001: 'Mumbai Testnet',
-}
+import { getChain, getNetworkName } from '../config/chains'
+import { useWalletStore } from '../store/walletStore'
 
 export function useWallet() {
   const [address, setAddress] = useState(null)
@@ -18,8 +12,10 @@ export function useWallet() {
   const [error, setError] = useState(null)
 
   const connect = useCallback(async () => {
-    // 1. Check MetaMask is installed
-    if (!window.ethereum) {
+    // 1. Check a wallet is installed — the store picks the EIP-6963
+    //    wallet the user chose, falling back to window.ethereum
+    const ethereum = useWalletStore.getState().getEthereum()
+    if (!ethereum) {
       setError('MetaMask not found. Please install it at metamask.io')
       setStatus('error')
       return
@@ -29,8 +25,8 @@ export function useWallet() {
       setStatus('connecting')
       setError(null)
 
-      // 2. Create provider from MetaMask
-      const provider = new ethers.BrowserProvider(window.ethereum)
+      // 2. Create provider from the wallet
+      const provider = new ethers.BrowserProvider(ethereum)
 
       // 3. Request user to connect — this triggers the MetaMask popup
       await provider.send('eth_requestAccounts', [])
@@ -41,14 +37,14 @@ export function useWallet() {
       // 5. Get wallet address
       const walletAddress = await signer.getAddress()
 
-      // 6. Get ETH balance (returned in Wei, convert to ETH)
-      const rawBalance = await provider.getBalance(walletAddress)
-      const ethBalance = ethers.formatEther(rawBalance)
-
-      // 7. Get network info
+      // 6. Get network info
       const networkInfo = await provider.getNetwork()
       const chainId = Number(networkInfo.chainId)
-      const networkName = NETWORKS[chainId] || `Chain ID: ${chainId}`
+      const networkName = getNetworkName(chainId)
+
+      // 7. Get native balance (returned in Wei, convert with the chain's decimals)
+      const rawBalance = await provider.getBalance(walletAddress)
+      const ethBalance = ethers.formatUnits(rawBalance, getChain(chainId).nativeCurrency.decimals)
 
       // 8. Update state
       setAddress(walletAddress)
@@ -0,0 +1,14 @@
+// src/hooks/useWatchedTokens.js
+// The token watchlist for one chain — presets plus the user's
+// own tokens (see store/tokenStore.js).
+
+import { useMemo } from 'react'
+import { useTokenStore, tokensForChain } from '../store/tokenStore'
+import { getChain } from '../config/chains'
+
+export function useWatchedTokens(chainId) {
+  const tokens        = useTokenStore(s => s.tokens)
+  const hiddenPresets = useTokenStore(s => s.hiddenPresets)
+  const id            = getChain(chainId).id
+  return useMemo(() => tokensForChain(tokens, hiddenPresets, id), [tokens, hiddenPresets, id])
+}
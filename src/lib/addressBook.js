@@ -0,0 +1,87 @@
+// src/lib/addressBook.js
+// ─────────────────────────────────────────────────────────────
+// Plain helpers behind the address book in walletStore.js.
+//
+// A contact is:
+//   { address, label, chainId, notes }
+// where chainId is a number for a contact that only exists on one
+// network (e.g. a Polygon multisig), or null for "every chain"
+// (a regular EOA works everywhere).
+//
+// The export format is versioned so old files keep importing:
+//   { "version": 1, "contacts": [ ...contacts ] }
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+
+export const ADDRESS_BOOK_VERSION = 1
+
+// ── normalizeContact() ────────────────────────────────────────
+// Validates one contact and returns it in stored form
+// (checksummed address, trimmed strings). Throws on bad input.
+export const normalizeContact = ({ address, label, chainId = null, notes = '' }) => {
+  if (typeof address !== 'string' || !ethers.isAddress(address.trim()))
+    throw new Error(`Invalid address: ${address}`)
+  if (typeof label !== 'string' || !label.trim())
+    throw new Error('Every contact needs a label.')
+
+  const id = chainId == null || chainId === '' ? null : Number(chainId)
+  if (id !== null && !Number.isInteger(id))
+    throw new Error(`Invalid chain id for ${label}: ${chainId}`)
+
+  return {
+    address: ethers.getAddress(address.trim()),
+    label:   label.trim(),
+    chainId: id,
+    notes:   typeof notes === 'string' ? notes.trim() : '',
+  }
+}
+
+// Same address + same chain scope = the same contact
+export const isSameContact = (a, b) => a.address === b.address && a.chainId === b.chainId
+
+// ── findContact() ─────────────────────────────────────────────
+// The contact for an address on a chain. A chain-specific entry
+// wins over an "every chain" one.
+export const findContact = (addressBook, address, chainId) => {
+  if (!address) return null
+  const matches = addressBook.filter(c =>
+    c.address.toLowerCase() === address.toLowerCase() &&
+    (c.chainId === null || c.chainId === chainId)
+  )
+  return matches.find(c => c.chainId === chainId) ?? matches[0] ?? null
+}
+
+// Contacts usable on a chain (for pickers)
+export const contactsForChain = (addressBook, chainId) =>
+  addressBook.filter(c => c.chainId === null || c.chainId === chainId)
+
+// ── parseAddressBook() ────────────────────────────────────────
+// JSON text → validated contacts. Accepts our export format or a
+// bare array of contacts. Throws with the first problem found.
+export const parseAddressBook = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('This file is not valid JSON.')
+  }
+
+  const contacts = Array.isArray(data) ? data : data?.contacts
+  if (!Array.isArray(contacts))
+    throw new Error('Expected a list of contacts, or { "contacts": [...] }.')
+  if (!Array.isArray(data) && data.version > ADDRESS_BOOK_VERSION)
+    throw new Error(`This file was exported by a newer version (v${data.version}).`)
+
+  return contacts.map((contact, i) => {
+    try {
+      return normalizeContact(contact ?? {})
+    } catch (err) {
+      throw new Error(`Contact ${i + 1}: ${err.message}`)
+    }
+  })
+}
+
+// Contacts → the JSON text we export
+export const serializeAddressBook = (addressBook) =>
+  JSON.stringify({ version: ADDRESS_BOOK_VERSION, contacts: addressBook }, null, 2)
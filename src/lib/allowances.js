@@ -0,0 +1,82 @@
+// src/lib/allowances.js
+// ─────────────────────────────────────────────────────────────
+// Finds the ERC-20 approvals an address has given out.
+//
+// approve(spender, amount) lets `spender` (usually a DEX router
+// or marketplace) move up to `amount` of your tokens at any time.
+// "Unlimited" approvals (uint256 max) are common — and are what
+// drainers exploit when a spender contract is compromised.
+//
+// 1. Approval(owner, spender, value) logs with owner = address
+//    → every (token, spender) pair ever approved
+// 2. allowance(owner, spender) for each pair, in one Multicall3
+//    call → what is STILL approved (later approvals, transferFrom
+//    and revokes all change it)
+// Pairs whose allowance is back at 0 are dropped.
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+import { ERC20_ABI } from '../config/abis'
+import { aggregate3 } from './multicall'
+import { getLogsChunked } from './logs'
+
+const erc20 = new ethers.Interface(ERC20_ABI)
+const APPROVAL_TOPIC = erc20.getEvent('Approval').topicHash
+
+// How far back to look on a long chain. Public RPCs don't serve
+// eth_getLogs from genesis cheaply; raise this for older wallets.
+// (Ranges are split to fit the node's limits — see lib/logs.js.)
+export const APPROVAL_LOOKBACK_BLOCKS = Number(import.meta.env.VITE_APPROVAL_LOOKBACK_BLOCKS) || 1_000_000
+
+// Allowances this close to uint256 max count as unlimited — some
+// tokens decrease even "infinite" approvals on every transferFrom
+export const isUnlimited = (amount) => amount >= ethers.MaxUint256 / 2n
+
+// ── findApprovalPairs() ───────────────────────────────────────
+// Unique { token, spender } pairs from Approval logs by `owner`
+// in [fromBlock, toBlock]. onProgress(block) after each range.
+const findApprovalPairs = async (provider, owner, range) => {
+  const ownerTopic = ethers.zeroPadValue(owner, 32)
+  const logs  = await getLogsChunked(provider, { topics: [APPROVAL_TOPIC, ownerTopic] }, range)
+  const pairs = new Map()   // "token:spender" → { token, spender }
+
+  // ERC-721 Approval has the same signature but indexes the
+  // token id as a 4th topic — not an allowance, skip it
+  for (const log of logs) {
+    if (log.topics.length !== 3) continue
+    const spender = ethers.getAddress(ethers.dataSlice(log.topics[2], 12))
+    pairs.set(`${log.address}:${spender}`, { token: log.address, spender })
+  }
+
+  return [...pairs.values()]
+}
+
+// ── scanAllowances() ──────────────────────────────────────────
+// → [{ token, spender, amount, unlimited }] with amount > 0,
+// unlimited ones first. Throws if the RPC can't serve the logs.
+export const scanAllowances = async (provider, chainId, owner, { onProgress } = {}) => {
+  const head      = await provider.getBlockNumber()
+  const fromBlock = Math.max(0, head - APPROVAL_LOOKBACK_BLOCKS + 1)
+  const pairs     = await findApprovalPairs(provider, owner, {
+    fromBlock, toBlock: head,
+    onProgress: (block) => onProgress?.({ from: fromBlock, to: head, current: block }),
+  })
+
+  const results = await aggregate3(provider, chainId, pairs.map(({ token, spender }) => ({
+    target:   token,
+    callData: erc20.encodeFunctionData('allowance', [owner, spender]),
+  })))
+
+  return pairs
+    .map((pair, i) => {
+      let amount = 0n
+      try {
+        if (results[i].success) amount = erc20.decodeFunctionResult('allowance', results[i].returnData)[0]
+      } catch {
+        // Not an ERC-20 (or self-destructed) — nothing to revoke
+      }
+      return { ...pair, amount, unlimited: isUnlimited(amount) }
+    })
+    .filter(a => a.amount > 0n)
+    .sort((a, b) => Number(b.unlimited) - Number(a.unlimited))
+}
@@ -0,0 +1,84 @@
+// src/lib/cache.js
+// ─────────────────────────────────────────────────────────────
+// A small IndexedDB cache for data too big (or too many) for
+// localStorage.
+//
+// Object stores, each keyed by `key`:
+//   history → one record per chain + address:
+//             { key, chainId, address, source, lastBlock, entries, ... }
+//   tokens  → immutable ERC-20 metadata per chain + contract:
+//             { key, chainId, address, symbol, decimals, name }
+//
+// Keys always start with the chain id — the same address means a
+// different account (or contract) on another chain, so a chain
+// switch simply reads different records.
+//
+// The cache is best-effort: if IndexedDB is unavailable (some
+// private windows) reads return null and writes do nothing.
+// ─────────────────────────────────────────────────────────────
+
+const DB_NAME    = 'web3-wallet-cache'
+const DB_VERSION = 1
+const STORES     = ['history', 'tokens']
+
+// Helper: the cache key for a chain + address
+export const cacheKey = (chainId, address) => `${chainId}:${address.toLowerCase()}`
+
+// Opened once, on first use
+let dbPromise = null
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available.'))
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        for (const name of STORES) {
+          if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name, { keyPath: 'key' })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror   = () => reject(request.error)
+    })
+  }
+  return dbPromise
+}
+
+// Runs one request in its own transaction → its result
+const run = async (storeName, mode, makeRequest) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror   = () => reject(request.error)
+  })
+}
+
+// ── cacheGet() ────────────────────────────────────────────────
+// The record for a key, or null (also when the cache is unavailable)
+export const cacheGet = async (storeName, key) => {
+  try {
+    return (await run(storeName, 'readonly', store => store.get(key))) ?? null
+  } catch {
+    return null
+  }
+}
+
+// ── cachePut() ────────────────────────────────────────────────
+// Saves a record (it must have a `key`), replacing any old one
+export const cachePut = async (storeName, record) => {
+  try {
+    await run(storeName, 'readwrite', store => store.put(record))
+  } catch {
+    // Best-effort — the app works without the cache, just slower
+  }
+}
+
+// ── cacheDelete() ─────────────────────────────────────────────
+export const cacheDelete = async (storeName, key) => {
+  try {
+    await run(storeName, 'readwrite', store => store.delete(key))
+  } catch {
+    // Nothing cached, or no IndexedDB — either way it's gone
+  }
+}
@@ -0,0 +1,106 @@
+// src/lib/decode.js
+// ─────────────────────────────────────────────────────────────
+// Calldata decoding for contract calls.
+//
+// data = 4-byte selector + ABI-encoded arguments. We look the
+// selector up in, in order:
+//   1. imported ABIs registered for THIS contract address
+//   2. imported ABIs registered for any contract
+//   3. the bundled signature list (config/signatures.js)
+// and decode the arguments with the first match.
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+import { KNOWN_SIGNATURES } from '../config/signatures'
+
+const builtin = new ethers.Interface(KNOWN_SIGNATURES)
+
+// Interfaces are costly to build — one per imported ABI entry
+const interfaces = new WeakMap()
+const interfaceFor = (entry) => {
+  if (!interfaces.has(entry)) interfaces.set(entry, new ethers.Interface(entry.abi))
+  return interfaces.get(entry)
+}
+
+// ── decodeCalldata() ──────────────────────────────────────────
+// Returns null for plain transfers (data "0x"), otherwise:
+//   { selector, name, signature, source, args: [{ name, type, value }] }
+// name/signature are null when nothing matched the selector.
+//   abis: imported ABI entries (store/abiStore.js)
+//   to:   the contract called, to pick its own ABI first
+export const decodeCalldata = (data, { abis = [], to } = {}) => {
+  if (!data || data === '0x' || data === 'deprecated') return null
+
+  const selector = data.slice(0, 10).toLowerCase()
+  const target   = to?.toLowerCase()
+
+  const candidates = [
+    ...abis.filter(a => a.address && a.address.toLowerCase() === target).map(a => ({ iface: interfaceFor(a), source: a.name })),
+    ...abis.filter(a => !a.address).map(a => ({ iface: interfaceFor(a), source: a.name })),
+    { iface: builtin, source: 'built-in' },
+  ]
+
+  for (const { iface, source } of candidates) {
+    const fragment = iface.getFunction(selector)
+    if (!fragment) continue
+    try {
+      const values = iface.decodeFunctionData(fragment, data)
+      return {
+        selector,
+        name:      fragment.name,
+        signature: fragment.format('sighash'),
+        source,
+        args: fragment.inputs.map((param, i) => ({
+          name:  param.name || `arg${i}`,
+          type:  param.format('sighash'),
+          value: toPlain(values[i], param),
+        })),
+      }
+    } catch {
+      // Same selector, different argument layout — try the next source
+    }
+  }
+
+  return { selector, name: null, signature: null, source: null, args: [] }
+}
+
+// ethers Result objects → plain values (arrays / objects / strings / bigints),
+// so components don't need to know about Result
+const toPlain = (value, param) => {
+  if (param.baseType === 'array') return [...value].map(v => toPlain(v, param.arrayChildren))
+  if (param.baseType === 'tuple') {
+    return Object.fromEntries(param.components.map((c, i) => [c.name || `${i}`, toPlain(value[i], c)]))
+  }
+  return value
+}
+
+// ── formatArg() ───────────────────────────────────────────────
+// A decoded value → a short human string for display.
+// We don't know token decimals here, so amounts get thousands
+// separators; uint256 max (the "unlimited approval" sentinel)
+// gets a name.
+export const formatArg = (value, type = '') => {
+  if (Array.isArray(value)) return `[${value.map(v => formatArg(v)).join(', ')}]`
+  if (typeof value === 'bigint') {
+    if (value === ethers.MaxUint256) return 'unlimited'
+    return value.toLocaleString('en-US')
+  }
+  if (value && typeof value === 'object') {
+    return `{ ${Object.entries(value).map(([k, v]) => `${k}: ${formatArg(v)}`).join(', ')} }`
+  }
+  if (typeof value === 'string' && ethers.isAddress(value)) return `${value.slice(0, 6)}...${value.slice(-4)}`
+  if (typeof value === 'string' && type.startsWith('bytes') && value.length > 20) return `${value.slice(0, 10)}…(${(value.length - 2) / 2} bytes)`
+  return String(value)
+}
+
+// The full, untruncated value — for the detail view
+export const formatArgFull = (value) => {
+  if (typeof value === 'bigint') return value.toString()
+  if (Array.isArray(value) || (value && typeof value === 'object'))
+    return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v), 2)
+  return String(value)
+}
+
+// Short row label e.g. "approve(spender, amount)"
+export const callLabel = (decoded) =>
+  decoded?.name ? `${decoded.name}(${decoded.args.map(a => a.name).join(', ')})` : null
@@ -0,0 +1,15 @@
+// src/lib/download.js
+// ─────────────────────────────────────────────────────────────
+// Saves text as a file download, without a server round-trip.
+// ─────────────────────────────────────────────────────────────
+
+export const downloadFile = (filename, text, type = 'application/json') => {
+  const url  = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href     = url
+  link.download = filename
+  link.click()
+  // Revoking in the same tick can cancel the download in some
+  // browsers — let it start first
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,85 @@
+// src/lib/ens.js
+// ─────────────────────────────────────────────────────────────
+// ENS helpers — forward resolution (name → address) and reverse
+// lookup (address → primary name + avatar).
+//
+// ENS only exists on some chains. Each chain in the registry
+// says where its names resolve (ensChainId): Sepolia has its
+// own registry, Polygon borrows Ethereum's, a local devnet has
+// none. Lookups always go through the read provider of THAT
+// chain, never the wallet.
+//
+// Results are cached per chain for a few minutes, so a history
+// list full of the same counterparty costs one lookup.
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+import { useWalletStore } from '../store/walletStore'
+import { getChain, getEnsChainId } from '../config/chains'
+
+const CACHE_TTL_MS = 5 * 60 * 1000
+
+// key → { promise, expires }
+const cache = new Map()
+
+// Caches the PROMISE so parallel callers share one lookup.
+// Failed lookups are forgotten right away so they can be retried.
+const cached = (key, load) => {
+  const hit = cache.get(key)
+  if (hit && hit.expires > Date.now()) return hit.promise
+
+  const promise = load().catch(err => { cache.delete(key); throw err })
+  cache.set(key, { promise, expires: Date.now() + CACHE_TTL_MS })
+  return promise
+}
+
+// Looks like an ENS name e.g. "vitalik.eth" (not a 0x address).
+// Every label must be non-empty, so half-typed input such as
+// "vitalik.", "a..b" or ".eth" isn't treated as a name yet.
+export const isEnsName = (value) => {
+  const name = value?.trim() ?? ''
+  return name.includes('.') && !name.startsWith('0x') && !/\s/.test(name)
+    && name.split('.').every(label => label.length > 0)
+}
+
+// ── resolveEnsName() ──────────────────────────────────────────
+// "vitalik.eth" → "0xd8dA…" on the given chain.
+// Rejects with a readable Error when ENS isn't available, the
+// name is malformed or it has no address set — never throws
+// synchronously, so callers can rely on .catch().
+export const resolveEnsName = (name, chainId) => {
+  const ensChainId = getEnsChainId(chainId)
+  if (!ensChainId)
+    return Promise.reject(new Error(`ENS names aren't available on ${getChain(chainId).name}.`))
+
+  let normalized
+  try {
+    normalized = ethers.ensNormalize(name.trim())
+  } catch {
+    return Promise.reject(new Error('Invalid ENS name.'))
+  }
+  return cached(`name:${ensChainId}:${normalized}`, async () => {
+    const provider = useWalletStore.getState().getReadProvider(ensChainId)
+    const address  = await provider.resolveName(normalized)
+    if (!address) throw new Error(`${normalized} doesn't point to an address.`)
+    return address
+  })
+}
+
+// ── lookupEnsProfile() ────────────────────────────────────────
+// Reverse lookup: address → { name, avatar } or null.
+// ethers checks the name resolves back to the same address, so
+// nobody can claim someone else's address as their primary name.
+// Never throws — a missing profile just means "show the 0x".
+export const lookupEnsProfile = (address, chainId) => {
+  const ensChainId = getEnsChainId(chainId)
+  if (!ensChainId || !ethers.isAddress(address)) return Promise.resolve(null)
+
+  return cached(`addr:${ensChainId}:${address.toLowerCase()}`, async () => {
+    const provider = useWalletStore.getState().getReadProvider(ensChainId)
+    const name     = await provider.lookupAddress(address)
+    if (!name) return null
+    const avatar = await provider.getAvatar(name).catch(() => null)
+    return { name, avatar }
+  }).catch(() => null)
+}
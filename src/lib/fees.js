@@ -0,0 +1,132 @@
+// src/lib/fees.js
+// ─────────────────────────────────────────────────────────────
+// Gas + fee helpers for sending transactions.
+//
+// EIP-1559 refresher — every transaction pays:
+//   fee per gas = baseFee (burned, set by the network)
+//               + priority fee (tip to the block producer)
+// and we cap it with maxFeePerGas, so the WORST case is:
+//   gasLimit × maxFeePerGas
+//
+// Chains without a baseFee (legacy) just use one gasPrice.
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+
+// ── Speed presets ─────────────────────────────────────────────
+// Each preset picks a percentile of the priority fees paid in
+// recent blocks (via eth_feeHistory). Legacy chains scale the
+// node's gasPrice instead.
+export const FEE_SPEEDS = {
+  slow:   { label: 'Slow',   percentile: 10, legacyMultiplier: 90n },
+  normal: { label: 'Normal', percentile: 50, legacyMultiplier: 100n },
+  fast:   { label: 'Fast',   percentile: 90, legacyMultiplier: 125n },
+}
+
+const SPEED_KEYS   = Object.keys(FEE_SPEEDS)
+const HISTORY_SIZE = 10 // blocks of fee history to average over
+
+// Average of a list of bigints (0n for an empty list)
+const average = (values) =>
+  values.length ? values.reduce((sum, v) => sum + v, 0n) / BigInt(values.length) : 0n
+
+// ── fetchFeeSuggestions() ─────────────────────────────────────
+// Returns fee fields for every speed preset:
+//   { eip1559: true,  baseFee, speeds: { slow: { maxFeePerGas, maxPriorityFeePerGas }, ... } }
+//   { eip1559: false,          speeds: { slow: { gasPrice }, ... } }
+// provider must support send() (BrowserProvider / JsonRpcProvider).
+export const fetchFeeSuggestions = async (provider) => {
+  const block   = await provider.getBlock('latest')
+  const baseFee = block?.baseFeePerGas
+
+  // Legacy chain — no baseFee, just scale the node's gasPrice
+  if (baseFee == null) {
+    const { gasPrice } = await provider.getFeeData()
+    const speeds = {}
+    for (const key of SPEED_KEYS)
+      speeds[key] = { gasPrice: gasPrice * FEE_SPEEDS[key].legacyMultiplier / 100n }
+    return { eip1559: false, speeds }
+  }
+
+  // Priority fees actually paid in recent blocks, at our percentiles
+  const percentiles = SPEED_KEYS.map(key => FEE_SPEEDS[key].percentile)
+  let rewards = []
+  try {
+    const history = await provider.send('eth_feeHistory', [ethers.toQuantity(HISTORY_SIZE), 'latest', percentiles])
+    rewards = history.reward ?? []
+  } catch {
+    // Some nodes don't support eth_feeHistory — fall back to getFeeData() below
+  }
+
+  const { maxPriorityFeePerGas: fallbackTip } = await provider.getFeeData()
+
+  const speeds = {}
+  SPEED_KEYS.forEach((key, i) => {
+    const tips     = rewards.map(blockRewards => BigInt(blockRewards[i]))
+    const priority = tips.length ? average(tips) : (fallbackTip ?? 0n)
+    // 2 × baseFee leaves room for ~6 full blocks of base fee increases
+    speeds[key] = { maxFeePerGas: baseFee * 2n + priority, maxPriorityFeePerGas: priority }
+  })
+
+  return { eip1559: true, baseFee, speeds }
+}
+
+// ── estimateGasLimit() ────────────────────────────────────────
+// estimateGas() plus a 20% safety buffer for contract calls.
+// A plain transfer to an EOA always costs exactly 21000.
+export const estimateGasLimit = async (provider, tx) => {
+  const estimate = await provider.estimateGas(tx)
+  return estimate > 21000n ? estimate * 120n / 100n : estimate
+}
+
+// ── resolveFees() ─────────────────────────────────────────────
+// Picks the fee fields to send with: a speed preset, with any
+// advanced fields (strings, in gwei) overriding it.
+// Returns null while suggestions haven't loaded.
+export const resolveFees = (suggestions, speed, custom = {}) => {
+  if (!suggestions) return null
+  const preset = suggestions.speeds[speed]
+  const gwei   = (value, fallback) => (value ? ethers.parseUnits(value, 'gwei') : fallback)
+
+  if (!suggestions.eip1559)
+    return { gasPrice: gwei(custom.maxFee, preset.gasPrice) }
+
+  // A custom tip without a custom max fee keeps the preset's headroom
+  const priority = gwei(custom.priorityFee, preset.maxPriorityFeePerGas)
+  return {
+    maxFeePerGas:         gwei(custom.maxFee, suggestions.baseFee * 2n + priority),
+    maxPriorityFeePerGas: priority,
+  }
+}
+
+// ── Fee cost helpers (all in wei) ─────────────────────────────
+// Worst case: what the wallet must hold on top of the amount
+export const maxFeeCost = (fees, gasLimit) =>
+  gasLimit * (fees.maxFeePerGas ?? fees.gasPrice)
+
+// Expected: what the user will most likely pay at today's baseFee
+export const expectedFeeCost = (fees, gasLimit, baseFee) => {
+  if (fees.gasPrice != null || baseFee == null) return maxFeeCost(fees, gasLimit)
+  const perGas = baseFee + fees.maxPriorityFeePerGas
+  return gasLimit * (perGas < fees.maxFeePerGas ? perGas : fees.maxFeePerGas)
+}
+
+// ── bumpFees() ────────────────────────────────────────────────
+// Fees for a replacement transaction (speed up / cancel) that
+// reuses the nonce of a stuck one. Nodes only accept it if BOTH
+// fee fields rise by at least 10%, so we take +12.5% or today's
+// "fast" preset, whichever is higher.
+//   original: { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice } (bigints)
+export const bumpFees = (original, suggestions) => {
+  const bump    = (value) => value * 1125n / 1000n + 1n
+  const highest = (a, b) => (a > b ? a : b)
+  const fast    = suggestions?.speeds.fast
+
+  if (original.maxFeePerGas == null)
+    return { gasPrice: highest(bump(original.gasPrice), fast?.gasPrice ?? fast?.maxFeePerGas ?? 0n) }
+
+  const maxPriorityFeePerGas = highest(bump(original.maxPriorityFeePerGas), fast?.maxPriorityFeePerGas ?? 0n)
+  const maxFeePerGas         = highest(bump(original.maxFeePerGas), fast?.maxFeePerGas ?? 0n)
+  // The tip can never exceed the cap
+  return { maxFeePerGas: highest(maxFeePerGas, maxPriorityFeePerGas), maxPriorityFeePerGas }
+}
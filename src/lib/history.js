@@ -0,0 +1,200 @@
+// src/lib/history.js
+// ─────────────────────────────────────────────────────────────
+// Transaction history from the chain's history backend
+// (Etherscan, Blockscout or a custom server — see
+// lib/historyBackends.js and getHistoryConfig() in config/chains.js).
+//
+// One "transaction" can move value in several ways, and the
+// explorers list each in its own feed:
+//   normal    → the transaction itself (native value, status)
+//   internal  → native value moved BY contracts (e.g. a WETH unwrap)
+//   erc20     → ERC-20 Transfer events
+//   erc721    → ERC-721 Transfer events
+//
+// We fetch them all, tag every row with its feed (`kind`), then
+// group the rows by transaction hash — so a swap (token out,
+// token in, maybe some ETH back) reads as ONE event.
+// ─────────────────────────────────────────────────────────────
+
+import { getHistoryConfig } from '../config/chains'
+import { etherscanBackend, blockscoutBackend, customBackend } from './historyBackends'
+import { cacheKey, cacheGet, cachePut } from './cache'
+
+// ── Etherscan API key ─────────────────────────────────────────
+// VITE_ prefix is required by Vite to expose env variables to the browser.
+// Without VITE_ prefix, the variable is undefined in the frontend.
+// Never store secrets without the VITE_ prefix check — but API keys
+// for public block explorers are fine to expose in frontend apps.
+export const ETHERSCAN_KEY = import.meta.env.VITE_ETHERSCAN_API_KEY
+
+// Rows per request when downloading a whole history
+const EXPORT_PAGE_SIZE = 1000
+
+// Feed kinds, plus the badge shown on rows
+export const FEEDS = {
+  normal:   { badge: 'Tx' },
+  internal: { badge: 'Internal' },
+  erc20:    { badge: 'ERC-20' },
+  erc721:   { badge: 'NFT' },
+}
+
+// ── getHistoryBackend() ───────────────────────────────────────
+// The backend configured for a chain, or null when history has
+// to come from the RPC indexer instead (store/indexerStore.js):
+// the chain chose 'rpc', or its backend is missing a key / URL.
+export const getHistoryBackend = (chainId) => {
+  const { backend, url } = getHistoryConfig(chainId)
+  switch (backend) {
+    case 'etherscan':  return ETHERSCAN_KEY ? etherscanBackend({ chainId, apiKey: ETHERSCAN_KEY, url }) : null
+    case 'blockscout': return url ? blockscoutBackend({ url }) : null
+    case 'custom':     return url ? customBackend({ chainId, url }) : null
+    default:           return null
+  }
+}
+
+// ── fetchFeeds() ──────────────────────────────────────────────
+// The same page of several feeds at once, newest first.
+// Returns { entries, more } where `more` lists the feeds that
+// returned a full page (so may have older rows left).
+//   blocks: optional { startblock, endblock } to fetch within
+// Throws a HistoryError whose message is ready to show the user.
+export const fetchFeeds = async (kinds, address, backend, page, offset, blocks = {}) => {
+  const results = await Promise.all(
+    kinds.map(kind => backend.fetchPage(kind, address, { page, offset, ...blocks }))
+  )
+  return {
+    entries: results.flat(),
+    more:    kinds.filter((_, i) => results[i].length === offset),
+  }
+}
+
+// ── fetchAllFeeds() ───────────────────────────────────────────
+// EVERY row of several feeds between two blocks (inclusive),
+// for exports. Requests run one after another to stay inside
+// free API tiers' rate limits.
+//
+// Explorers cap how deep one query can page (Etherscan: 10,000
+// rows). Past that we start a new window that ends at the oldest
+// block seen so far; rows from that block are fetched twice and
+// de-duplicated by mergeEntries().
+export const fetchAllFeeds = async (kinds, address, backend, { startblock = 0, endblock = 99999999 } = {}) => {
+  let entries = []
+
+  for (const kind of kinds) {
+    let windowEnd = endblock
+    for (;;) {
+      let rows = []
+      for (let page = 1; page * EXPORT_PAGE_SIZE <= backend.maxResultWindow; page++) {
+        const batch = await backend.fetchPage(kind, address, {
+          page, offset: EXPORT_PAGE_SIZE, startblock, endblock: windowEnd,
+        })
+        rows = rows.concat(batch)
+        if (batch.length < EXPORT_PAGE_SIZE) break
+      }
+      entries = mergeEntries(entries, rows)
+
+      // Window not full → we have everything for this feed
+      if (rows.length < backend.maxResultWindow) break
+      const oldest = Number(rows[rows.length - 1].blockNumber)
+      if (oldest === windowEnd) break   // one block fills the whole window — can't go further
+      windowEnd = oldest
+    }
+  }
+
+  return entries
+}
+
+// ── fetchBlockByTime() ────────────────────────────────────────
+// The block mined closest to a unix timestamp — to turn a date
+// range into startblock/endblock.
+//   closest: 'before' | 'after'
+export const fetchBlockByTime = (backend, timestamp, closest) => backend.fetchBlockByTime(timestamp, closest)
+
+// ── History cache ─────────────────────────────────────────────
+// The rows loaded for a chain + address are kept in IndexedDB
+// (lib/cache.js), so they show instantly next time and a refresh
+// only asks for blocks since the newest one we have.
+//
+// `source` names where the rows came from — a backend (with its
+// URL) or 'rpc' for the indexer. Rows from another source are
+// ignored: switching a chain's backend starts a fresh history.
+export const historySource = (backend) => (backend ? `${backend.id}:${backend.url}` : 'rpc')
+
+// The newest block among some rows (0 when there are none)
+export const latestBlock = (entries) => entries.reduce((max, e) => Math.max(max, Number(e.blockNumber)), 0)
+
+// → the saved record, or null
+export const loadCachedHistory = async (chainId, address, source) => {
+  const record = await cacheGet('history', cacheKey(chainId, address))
+  return record?.source === source ? record : null
+}
+
+// fields: { entries, ... } — anything else the caller needs to resume
+export const saveCachedHistory = (chainId, address, source, fields) =>
+  cachePut('history', {
+    key: cacheKey(chainId, address), chainId, address, source,
+    ...fields,
+    updatedAt: Date.now(),
+  })
+
+// A stable identity for a row, so pages can be merged without
+// duplicates. A transaction can emit several transfers, told
+// apart by log index (events) or trace id (internal calls).
+export const entryKey = (entry) =>
+  [entry.kind, entry.hash, entry.logIndex ?? entry.traceId ?? '', entry.tokenID ?? ''].join(':')
+
+// Merges new rows into a list, skipping ones already present
+export const mergeEntries = (existing, incoming) => {
+  const seen = new Set(existing.map(entryKey))
+  return [...existing, ...incoming.filter(entry => !seen.has(entryKey(entry)))]
+}
+
+// ── groupByHash() ─────────────────────────────────────────────
+// Rows → events, newest first:
+//   { hash, timeStamp, blockNumber, tx, transfers }
+// `tx` is the txlist row (null when we only saw a transfer, e.g.
+// tokens someone else sent us); `transfers` holds the rest.
+export const groupByHash = (entries) => {
+  const events = new Map()
+
+  for (const entry of entries) {
+    let event = events.get(entry.hash)
+    if (!event) {
+      event = { hash: entry.hash, timeStamp: entry.timeStamp, blockNumber: entry.blockNumber, tx: null, transfers: [] }
+      events.set(entry.hash, event)
+    }
+    if (entry.kind === 'normal') event.tx = entry
+    else event.transfers.push(entry)
+  }
+
+  return [...events.values()].sort((a, b) =>
+    Number(b.blockNumber) - Number(a.blockNumber) || Number(b.timeStamp) - Number(a.timeStamp)
+  )
+}
+
+// ── classifyEvent() ───────────────────────────────────────────
+// The facts each row is drawn from — shared by the row renderer,
+// the filters and exports, so "Sent" means the same everywhere.
+export const classifyEvent = (event, address) => {
+  const self = address.toLowerCase()
+  const { tx, transfers } = event
+
+  const isOut = (t) => t.from.toLowerCase() === self
+  const isIn  = (t) => t.to?.toLowerCase() === self
+
+  // The transaction's own sender decides the direction; without
+  // it, we only know what moved in or out of our address
+  const isSent = tx ? isOut(tx) : transfers.some(isOut) && !transfers.some(isIn)
+
+  return {
+    isSent,
+    isFailed:   tx?.isError === '1',
+    isContract: tx ? tx.input !== '0x' : false,
+    // Tokens going out AND coming in within one transaction
+    isSwap:     transfers.some(isOut) && transfers.some(isIn),
+    // The other side of the event
+    counterparty: tx
+      ? (isSent ? tx.to : tx.from)
+      : (isSent ? transfers[0]?.to : transfers[0]?.from),
+  }
+}
@@ -0,0 +1,256 @@
+// src/lib/historyBackends.js
+// ─────────────────────────────────────────────────────────────
+// History BACKENDS — the services transaction history can come
+// from. Every backend has the same shape:
+//
+//   {
+//     id, name, url,
+//     maxResultWindow,                        // rows one query can reach (page × offset)
+//     fetchPage(kind, address, range),        // → normalized rows, newest first
+//     fetchBlockByTime(timestamp, closest),   // → block number
+//   }
+//
+// kind is one of the feeds in lib/history.js (normal, internal,
+// erc20, erc721) and range is { page, offset, startblock, endblock }.
+//
+// Adapters:
+//   etherscanBackend   → Etherscan v2, any chainid
+//   blockscoutBackend  → a Blockscout instance's /api
+//   customBackend      → a self-hosted endpoint (format below)
+//
+// All of them take their base URL as an option, so any of them
+// can point at a local mock server. Nothing here reads .env —
+// lib/history.js picks the backend for a chain.
+// ─────────────────────────────────────────────────────────────
+
+// ── Errors ────────────────────────────────────────────────────
+// Every failure is a HistoryError with a message ready to show;
+// the subclasses say what went wrong, for code that cares.
+export class HistoryError extends Error {
+  constructor(message, { backend, cause } = {}) {
+    super(message, { cause })
+    this.name    = 'HistoryError'
+    this.backend = backend
+  }
+}
+
+// Too many requests — retried automatically (see request())
+export class RateLimitError extends HistoryError {
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, options)
+    this.name       = 'RateLimitError'
+    this.retryAfter = retryAfter   // ms, when the backend said
+  }
+}
+
+// Missing or rejected API key
+export class AuthError extends HistoryError {
+  constructor(message, options) {
+    super(message, options)
+    this.name = 'AuthError'
+  }
+}
+
+// Unreachable, or a server error — also retried
+export class NetworkError extends HistoryError {
+  constructor(message, options) {
+    super(message, options)
+    this.name = 'NetworkError'
+  }
+}
+
+// ── request() ─────────────────────────────────────────────────
+// GET + JSON with the shared retry policy: rate limits and
+// network/server errors are retried with exponential backoff
+// (or after the backend's Retry-After); anything else fails fast.
+//   parse(data) → the result, or throws a HistoryError
+const MAX_RETRIES = 3
+const BASE_DELAY_MS = 1000
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const request = async (url, name, parse) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return parse(await fetchJson(url, name))
+    } catch (err) {
+      const retryable = err instanceof RateLimitError || err instanceof NetworkError
+      if (!retryable || attempt >= MAX_RETRIES) throw err
+      await sleep(err.retryAfter ?? BASE_DELAY_MS * 2 ** attempt)
+    }
+  }
+}
+
+const fetchJson = async (url, name) => {
+  let response
+  try {
+    response = await fetch(url)
+  } catch (err) {
+    throw new NetworkError(`Could not reach ${name}. Check your connection and try again.`, { backend: name, cause: err })
+  }
+
+  if (response.status === 429) {
+    const seconds = Number(response.headers.get('Retry-After'))
+    throw new RateLimitError(`${name} rate limit reached. Wait a moment and refresh.`, {
+      backend: name, retryAfter: Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : undefined,
+    })
+  }
+  if (response.status === 401 || response.status === 403)
+    throw new AuthError(`${name} rejected the request. Check its API key.`, { backend: name })
+  if (response.status >= 500)
+    throw new NetworkError(`${name} is having problems (HTTP ${response.status}). Try again shortly.`, { backend: name })
+
+  try {
+    return await response.json()
+  } catch (err) {
+    throw new HistoryError(`${name} returned an unreadable response.`, { backend: name, cause: err })
+  }
+}
+
+// ── Normalized rows ───────────────────────────────────────────
+// One shape for every backend — the Etherscan row format the app
+// was built on: every field a string, tagged with its feed kind.
+const str = (value, fallback = '') => (value == null ? fallback : String(value))
+
+export const normalizeRow = (row, kind) => {
+  const base = {
+    kind,
+    hash:        str(row.hash ?? row.transactionHash),
+    blockNumber: str(row.blockNumber),
+    timeStamp:   str(row.timeStamp ?? row.timestamp),
+    from:        str(row.from),
+    to:          str(row.to),
+    value:       str(row.value, '0'),
+  }
+
+  if (kind === 'normal') return {
+    ...base,
+    nonce:    str(row.nonce),
+    input:    str(row.input, '0x'),
+    isError:  str(row.isError, '0'),
+    gasUsed:  str(row.gasUsed, '0'),
+    gasPrice: str(row.gasPrice, '0'),
+  }
+
+  if (kind === 'internal') return {
+    ...base,
+    traceId: str(row.traceId ?? row.index),
+    isError: str(row.isError, '0'),
+  }
+
+  // erc20 / erc721
+  return {
+    ...base,
+    logIndex:        str(row.logIndex),
+    contractAddress: str(row.contractAddress),
+    tokenName:       str(row.tokenName),
+    tokenSymbol:     str(row.tokenSymbol, '???'),
+    tokenDecimal:    str(row.tokenDecimal, '0'),
+    ...(kind === 'erc721' && { tokenID: str(row.tokenID), value: '1' }),
+  }
+}
+
+// ── Etherscan-style APIs ──────────────────────────────────────
+// Etherscan and Blockscout's /api share the same query format
+// and the same { status, message, result } envelope.
+const ACTIONS = {
+  normal:   'txlist',
+  internal: 'txlistinternal',
+  erc20:    'tokentx',
+  erc721:   'tokennfttx',
+}
+
+const query = (params) => new URLSearchParams(
+  Object.entries(params).filter(([, value]) => value != null)
+).toString()
+
+const parseEnvelope = (name) => (data) => {
+  if (data.status === '1') return data.result
+  // "No transactions found", "No token transfers found", …
+  if (/^No .*found/i.test(data.message ?? '')) return []
+
+  const detail = typeof data.result === 'string' ? data.result : data.message ?? ''
+  if (/rate limit/i.test(detail)) throw new RateLimitError(`${name} rate limit reached. Wait a moment and refresh.`, { backend: name })
+  if (/api.?key/i.test(detail)) throw new AuthError(`Invalid ${name} API key. Check your .env file.`, { backend: name })
+  throw new HistoryError(detail ? `${name}: ${detail}` : `Could not fetch transactions from ${name}. Try refreshing.`, { backend: name })
+}
+
+const etherscanStyle = ({ id, name, url, params = {} }) => {
+  const parse = parseEnvelope(name)
+  return {
+    id,
+    name,
+    url,
+    maxResultWindow: 10000,
+
+    fetchPage: async (kind, address, { page, offset, startblock = 0, endblock = 99999999 }) => {
+      const search = query({
+        ...params, module: 'account', action: ACTIONS[kind], address,
+        startblock, endblock, page, offset, sort: 'desc',
+      })
+      const rows = await request(`${url}?${search}`, name, parse)
+      return rows.map(row => normalizeRow(row, kind))
+    },
+
+    fetchBlockByTime: async (timestamp, closest) => {
+      const search = query({ ...params, module: 'block', action: 'getblocknobytime', timestamp: Math.floor(timestamp), closest })
+      const result = await request(`${url}?${search}`, name, parse)
+      // Etherscan answers with the number, Blockscout with { blockNumber }
+      const block = Number(result?.blockNumber ?? result)
+      if (!Number.isInteger(block)) throw new HistoryError('Could not find a block for that date.', { backend: name })
+      return block
+    },
+  }
+}
+
+// ── etherscanBackend() ────────────────────────────────────────
+// Etherscan v2 — one endpoint for every chain, picked by chainid.
+export const etherscanBackend = ({ chainId, apiKey, url = 'https://api.etherscan.io/v2/api' }) =>
+  etherscanStyle({ id: 'etherscan', name: 'Etherscan', url, params: { chainid: chainId, apikey: apiKey } })
+
+// ── blockscoutBackend() ───────────────────────────────────────
+// A Blockscout instance, through its Etherscan-compatible /api.
+//   url: the instance's API root e.g. https://eth.blockscout.com/api
+// Rows differ slightly (transactionHash on internal calls, no
+// traceId) — normalizeRow() evens that out.
+export const blockscoutBackend = ({ url, apiKey }) =>
+  etherscanStyle({ id: 'blockscout', name: 'Blockscout', url, params: { apikey: apiKey } })
+
+// ── customBackend() ───────────────────────────────────────────
+// A self-hosted indexer (or a mock server in tests) answering:
+//   GET {url}/transactions?chainid&address&kind&page&offset&startblock&endblock
+//       → { rows: [...] }   newest first, fields as normalizeRow() reads them
+//   GET {url}/block-by-time?chainid&timestamp&closest
+//       → { blockNumber }
+// Errors use HTTP status codes (429 rate limit, 401/403 auth),
+// with an optional { error: "message" } body.
+export const customBackend = ({ chainId, url }) => {
+  const name  = 'History server'
+  const root  = url.replace(/\/$/, '')
+  const parse = (data) => {
+    if (data?.error) throw new HistoryError(`${name}: ${data.error}`, { backend: name })
+    return data
+  }
+
+  return {
+    id: 'custom',
+    name,
+    url: root,
+    maxResultWindow: Infinity,
+
+    fetchPage: async (kind, address, { page, offset, startblock = 0, endblock = 99999999 }) => {
+      const search = query({ chainid: chainId, address, kind, page, offset, startblock, endblock })
+      const { rows } = await request(`${root}/transactions?${search}`, name, parse)
+      if (!Array.isArray(rows)) throw new HistoryError(`${name} returned no "rows" array.`, { backend: name })
+      return rows.map(row => normalizeRow(row, kind))
+    },
+
+    fetchBlockByTime: async (timestamp, closest) => {
+      const search = query({ chainid: chainId, timestamp: Math.floor(timestamp), closest })
+      const { blockNumber } = await request(`${root}/block-by-time?${search}`, name, parse)
+      const block = Number(blockNumber)
+      if (!Number.isInteger(block)) throw new HistoryError('Could not find a block for that date.', { backend: name })
+      return block
+    },
+  }
+}
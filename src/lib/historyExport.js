@@ -0,0 +1,88 @@
+// src/lib/historyExport.js
+// ─────────────────────────────────────────────────────────────
+// Turns history events (see lib/history.js) into CSV / JSON
+// for accounting.
+//
+// Exports are DETERMINISTIC: the same history always produces
+// byte-identical files, so two exports can be diffed. That means
+//   - a fixed row order (oldest first, then by hash)
+//   - exact decimal strings (formatUnits, never toFixed/locale)
+//   - UTC ISO timestamps, never the browser's timezone
+//   - a fixed column / key order
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+import { classifyEvent } from './history'
+
+export const EXPORT_COLUMNS = [
+  'timestamp', 'block', 'hash', 'direction', 'counterparty',
+  'value', 'value_wei', 'gas_used', 'fee_paid', 'fee_paid_wei', 'status', 'transfers',
+]
+
+// Transfers inside one transaction: by feed, then in on-chain
+// order (log index for events, trace id like "0_1" for internal calls)
+const position = (t) => String(t.logIndex ?? t.traceId ?? '')
+const byPosition = (a, b) =>
+  a.kind.localeCompare(b.kind) || position(a).localeCompare(position(b), 'en', { numeric: true })
+
+// One transfer as a signed, exact amount e.g. "-100.5 USDC", "+#42 PUNK"
+const describeTransfer = (transfer, self, nativeCurrency) => {
+  const sign = transfer.from.toLowerCase() === self ? '-' : transfer.to?.toLowerCase() === self ? '+' : ''
+  if (transfer.kind === 'erc721') return `${sign}#${transfer.tokenID} ${transfer.tokenSymbol}`
+  if (transfer.kind === 'internal') return `${sign}${ethers.formatUnits(transfer.value, nativeCurrency.decimals)} ${nativeCurrency.symbol}`
+  return `${sign}${ethers.formatUnits(transfer.value, Number(transfer.tokenDecimal))} ${transfer.tokenSymbol}`
+}
+
+// ── toExportRows() ────────────────────────────────────────────
+// events → plain row objects with EXPORT_COLUMNS as keys.
+// The fee only counts when the viewed address sent the
+// transaction — that's who paid for the gas.
+export const toExportRows = (events, address, nativeCurrency) => {
+  const self   = address.toLowerCase()
+  const sorted = [...events].sort((a, b) =>
+    Number(a.blockNumber) - Number(b.blockNumber) || a.hash.localeCompare(b.hash)
+  )
+
+  return sorted.map(event => {
+    const { tx } = event
+    const facts  = classifyEvent(event, address)
+    const paidFee = tx && tx.from.toLowerCase() === self
+    const feeWei  = paidFee ? BigInt(tx.gasUsed) * BigInt(tx.gasPrice) : 0n
+    const value   = tx?.value ?? '0'
+
+    return {
+      timestamp:    new Date(Number(event.timeStamp) * 1000).toISOString(),
+      block:        Number(event.blockNumber),
+      hash:         event.hash,
+      direction:    facts.isSwap ? 'swap' : facts.isSent ? 'out' : 'in',
+      counterparty: facts.counterparty ?? '',
+      value:        ethers.formatUnits(value, nativeCurrency.decimals),
+      value_wei:    value,
+      gas_used:     tx?.gasUsed ?? '',
+      fee_paid:     ethers.formatUnits(feeWei, nativeCurrency.decimals),
+      fee_paid_wei: feeWei.toString(),
+      status:       facts.isFailed ? 'failed' : 'success',
+      transfers:    [...event.transfers].sort(byPosition).map(t => describeTransfer(t, self, nativeCurrency)),
+    }
+  })
+}
+
+// ── toCsv() ───────────────────────────────────────────────────
+// RFC 4180: every field quoted only when it needs to be, CRLF line ends.
+// Transfers go in one cell, separated by "; ". Other exports
+// (e.g. batch payout reports) pass their own columns.
+const csvField = (value) => {
+  const text = Array.isArray(value) ? value.join('; ') : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const toCsv = (rows, columns = EXPORT_COLUMNS) =>
+  [columns, ...rows.map(row => columns.map(col => row[col]))]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\r\n') + '\r\n'
+
+// ── toJson() ──────────────────────────────────────────────────
+// A small header describing WHAT was exported, then the rows.
+// Deliberately no "exported at" time — it would break diffing.
+export const toJson = (rows, meta) =>
+  JSON.stringify({ ...meta, columns: EXPORT_COLUMNS, rows }, null, 2) + '\n'
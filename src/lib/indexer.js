@@ -0,0 +1,129 @@
+// src/lib/indexer.js
+// ─────────────────────────────────────────────────────────────
+// A tiny history indexer that only needs JSON-RPC.
+//
+// Block explorers don't exist for a local anvil/hardhat node and
+// don't index every chain, so as a fallback we build the history
+// ourselves:
+//   - every block is fetched WITH its transactions, and the ones
+//     from/to the address are kept (plus their receipts, for
+//     status and gas)
+//   - ERC-20 / ERC-721 Transfer logs are fetched with eth_getLogs,
+//     filtered on the indexed from/to topics
+//
+// Rows come out in the SAME shape as the Etherscan feeds (see
+// lib/history.js) so grouping, filters and exports just work.
+// Internal transactions need tracing RPCs most nodes don't
+// offer, so they are not indexed.
+//
+// Nothing here touches the stores — pass any ethers provider.
+// That keeps it runnable from Node against a local node too.
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+import { ERC20_ABI } from '../config/abis'
+
+// Blocks fetched per round. Calls in one round share JSON-RPC
+// batches (see the read provider in walletStore.js).
+const CHUNK_SIZE = 20
+
+// keccak256("Transfer(address,address,uint256)") — same topic for ERC-20 and ERC-721
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)')
+
+// An address as a 32-byte topic, for eth_getLogs filters
+const toTopic = (address) => ethers.zeroPadValue(address, 32)
+
+// ── Token metadata ────────────────────────────────────────────
+// symbol/decimals for a token contract; sensible fallbacks when
+// the contract doesn't implement them (many NFTs lack decimals).
+const loadTokenMeta = async (provider, tokenAddress) => {
+  const contract = new ethers.Contract(tokenAddress, ERC20_ABI, provider)
+  const [symbol, decimals, name] = await Promise.all([
+    contract.symbol().catch(() => '???'),
+    contract.decimals().catch(() => 0n),
+    contract.name().catch(() => ''),
+  ])
+  return { symbol, decimals: Number(decimals), name }
+}
+
+// ── Row builders (Etherscan-shaped, all strings) ──────────────
+const txRow = (tx, receipt, block) => ({
+  kind:        'normal',
+  hash:        tx.hash,
+  blockNumber: String(block.number),
+  timeStamp:   String(block.timestamp),
+  nonce:       String(tx.nonce),
+  from:        tx.from,
+  to:          tx.to ?? '',
+  value:       tx.value.toString(),
+  input:       tx.data,
+  isError:     receipt.status === 0 ? '1' : '0',
+  gasUsed:     receipt.gasUsed.toString(),
+  gasPrice:    (receipt.gasPrice ?? tx.gasPrice ?? 0n).toString(),
+})
+
+const transferRow = (log, block, meta) => {
+  // ERC-721 indexes the token id as a 4th topic; ERC-20 puts the amount in data
+  const isNft = log.topics.length === 4
+  return {
+    kind:            isNft ? 'erc721' : 'erc20',
+    hash:            log.transactionHash,
+    blockNumber:     String(log.blockNumber),
+    timeStamp:       String(block.timestamp),
+    logIndex:        String(log.index),
+    from:            ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+    to:              ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+    contractAddress: log.address,
+    tokenName:       meta.name,
+    tokenSymbol:     meta.symbol,
+    tokenDecimal:    String(isNft ? 0 : meta.decimals),
+    ...(isNft ? { tokenID: BigInt(log.topics[3]).toString(), value: '1' } : { value: BigInt(log.data).toString() }),
+  }
+}
+
+// ── scanBlocks() ──────────────────────────────────────────────
+// Indexes [fromBlock, toBlock] for one address.
+// Calls onChunk(rows, lastBlock) after every chunk, so callers
+// can save progress and resume later from lastBlock + 1.
+// Stops early (without error) once isCancelled() returns true.
+export const scanBlocks = async (provider, address, { fromBlock, toBlock, onChunk, isCancelled = () => false }) => {
+  const self      = address.toLowerCase()
+  const tokenMeta = new Map()   // contract → { symbol, decimals, name } for this scan
+
+  for (let start = fromBlock; start <= toBlock; start += CHUNK_SIZE) {
+    if (isCancelled()) return
+    const end = Math.min(start + CHUNK_SIZE - 1, toBlock)
+
+    // 1. Blocks with their transactions + Transfer logs both ways
+    const numbers = Array.from({ length: end - start + 1 }, (_, i) => start + i)
+    const [blocks, logsOut, logsIn] = await Promise.all([
+      Promise.all(numbers.map(n => provider.getBlock(n, true))),
+      provider.getLogs({ fromBlock: start, toBlock: end, topics: [TRANSFER_TOPIC, toTopic(address)] }),
+      provider.getLogs({ fromBlock: start, toBlock: end, topics: [TRANSFER_TOPIC, null, toTopic(address)] }),
+    ])
+    const blockByNumber = new Map(blocks.filter(Boolean).map(b => [b.number, b]))
+
+    // 2. Our transactions, with receipts for status + gas
+    const ours = blocks.filter(Boolean).flatMap(block =>
+      block.prefetchedTransactions
+        .filter(tx => tx.from.toLowerCase() === self || tx.to?.toLowerCase() === self)
+        .map(tx => ({ tx, block }))
+    )
+    const receipts = await Promise.all(ours.map(({ tx }) => provider.getTransactionReceipt(tx.hash)))
+    const rows = ours.map(({ tx, block }, i) => txRow(tx, receipts[i], block))
+
+    // 3. Token transfers (a self-transfer matches both filters — keep one)
+    const seen = new Set()
+    for (const log of [...logsOut, ...logsIn]) {
+      const id = `${log.transactionHash}:${log.index}`
+      if (seen.has(id) || log.topics.length < 3) continue
+      seen.add(id)
+
+      if (!tokenMeta.has(log.address)) tokenMeta.set(log.address, loadTokenMeta(provider, log.address))
+      const block = blockByNumber.get(log.blockNumber) ?? await provider.getBlock(log.blockNumber)
+      rows.push(transferRow(log, block, await tokenMeta.get(log.address)))
+    }
+
+    await onChunk(rows, end)
+  }
+}
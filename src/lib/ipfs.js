@@ -0,0 +1,25 @@
+// src/lib/ipfs.js
+// ─────────────────────────────────────────────────────────────
+// ipfs:// and ipns:// links → URLs a browser can load.
+//
+// Token logos (and NFT metadata) often point at IPFS content.
+// Browsers can't fetch ipfs:// directly, so we go through an
+// HTTP gateway. Set VITE_IPFS_GATEWAY in .env to use your own
+// (e.g. a pinning service's dedicated gateway).
+// ─────────────────────────────────────────────────────────────
+
+export const IPFS_GATEWAY = (import.meta.env.VITE_IPFS_GATEWAY || 'https://ipfs.io').replace(/\/+$/, '')
+
+// ── resolveUri() ──────────────────────────────────────────────
+// ipfs://<cid>/path   → <gateway>/ipfs/<cid>/path
+// ipns://<name>/path  → <gateway>/ipns/<name>/path
+// http(s)/data URIs are returned unchanged; anything else → null.
+export const resolveUri = (uri, gateway = IPFS_GATEWAY) => {
+  if (typeof uri !== 'string') return null
+  const value = uri.trim()
+
+  const match = value.match(/^(ipfs|ipns):\/\/(?:ipfs\/)?(.+)$/i)
+  if (match) return `${gateway}/${match[1].toLowerCase()}/${match[2]}`
+
+  return /^(https?:|data:)/i.test(value) ? value : null
+}
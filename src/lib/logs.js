@@ -0,0 +1,37 @@
+// src/lib/logs.js
+// ─────────────────────────────────────────────────────────────
+// eth_getLogs over a long block range.
+//
+// Nodes cap how many blocks (or results) one eth_getLogs may
+// cover, and every provider picks its own limit. We walk the
+// range in chunks and halve the chunk whenever a request is
+// rejected, until it fits or gets too small to be the problem.
+// ─────────────────────────────────────────────────────────────
+
+// Blocks per eth_getLogs to start with, and the floor for halving
+const START_CHUNK = 50_000
+const MIN_CHUNK   = 500
+
+// ── getLogsChunked() ──────────────────────────────────────────
+// Every log matching `filter` ({ address?, topics }) in
+// [fromBlock, toBlock]. onProgress(block) after each chunk.
+// Throws once even MIN_CHUNK blocks fail (RPC down, no logs API).
+export const getLogsChunked = async (provider, filter, { fromBlock, toBlock, onProgress }) => {
+  const logs = []
+  let chunk = START_CHUNK
+
+  for (let start = fromBlock; start <= toBlock;) {
+    const end = Math.min(start + chunk - 1, toBlock)
+    try {
+      logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }))
+    } catch (err) {
+      if (chunk <= MIN_CHUNK) throw err
+      chunk = Math.max(MIN_CHUNK, Math.floor(chunk / 2))
+      continue
+    }
+    onProgress?.(end)
+    start = end + 1
+  }
+
+  return logs
+}
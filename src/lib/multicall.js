@@ -0,0 +1,64 @@
+// src/lib/multicall.js
+// ─────────────────────────────────────────────────────────────
+// Many contract reads in ONE eth_call, through Multicall3.
+//
+// Multicall3 is deployed at the same address on nearly every EVM
+// chain. aggregate3() runs a list of calls and returns each
+// one's { success, returnData } — with allowFailure set, one
+// reverting token doesn't take the others down with it.
+//
+// A fresh local devnet has no Multicall3; there we fall back to
+// plain eth_calls (still batched by the read provider).
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'
+
+const multicall3 = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+])
+
+// Calls per aggregate3 — keeps each eth_call under node gas/size limits
+const MAX_CALLS = 500
+
+// chainId → Promise<boolean>: is Multicall3 deployed there?
+const deployed = new Map()
+
+const hasMulticall3 = (provider, chainId) => {
+  if (!deployed.has(chainId)) {
+    const check = provider.getCode(MULTICALL3_ADDRESS).then(code => code !== '0x')
+    deployed.set(chainId, check.catch(err => { deployed.delete(chainId); throw err }))
+  }
+  return deployed.get(chainId)
+}
+
+// ── aggregate3() ──────────────────────────────────────────────
+//   calls: [{ target, callData }]
+// → [{ success, returnData }] in the same order. A call that
+// reverts comes back with success: false instead of throwing;
+// only a failure of the whole request (RPC down) throws.
+export const aggregate3 = async (provider, chainId, calls) => {
+  if (calls.length === 0) return []
+
+  if (!(await hasMulticall3(provider, chainId))) {
+    return Promise.all(calls.map(call =>
+      provider.call({ to: call.target, data: call.callData }).then(
+        returnData => ({ success: true, returnData }),
+        ()         => ({ success: false, returnData: '0x' }),
+      )
+    ))
+  }
+
+  const chunks = []
+  for (let i = 0; i < calls.length; i += MAX_CALLS) chunks.push(calls.slice(i, i + MAX_CALLS))
+
+  const results = await Promise.all(chunks.map(async chunk => {
+    const data = multicall3.encodeFunctionData('aggregate3', [
+      chunk.map(call => ({ target: call.target, allowFailure: true, callData: call.callData })),
+    ])
+    const raw = await provider.call({ to: MULTICALL3_ADDRESS, data })
+    return multicall3.decodeFunctionResult('aggregate3', raw)[0].map(r => ({ success: r.success, returnData: r.returnData }))
+  }))
+  return results.flat()
+}
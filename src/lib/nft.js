@@ -0,0 +1,182 @@
+// src/lib/nft.js
+// ─────────────────────────────────────────────────────────────
+// NFT collections: which standard, which ids an address holds,
+// and what each token looks like.
+//
+// 1. ERC-165 supportsInterface() tells ERC-721 from ERC-1155
+// 2. Transfer (721) / TransferSingle + TransferBatch (1155) logs
+//    TO the owner → every id they ever received
+// 3. ownerOf(id) / balanceOf(owner, id) in one Multicall3 call
+//    → the ids they STILL hold
+// 4. tokenURI(id) / uri(id) → metadata JSON → name + image.
+//    URIs may be data:, http(s) or ipfs:// (via lib/ipfs.js)
+//
+// Neither standard lists an owner's tokens on-chain (721's
+// Enumerable extension is optional and rare), so the logs are
+// the only generic source.
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+import { ERC165_ABI, ERC721_ABI, ERC1155_ABI, INTERFACE_IDS } from '../config/abis'
+import { aggregate3 } from './multicall'
+import { getLogsChunked } from './logs'
+import { resolveUri } from './ipfs'
+
+const erc721  = new ethers.Interface(ERC721_ABI)
+const erc1155 = new ethers.Interface(ERC1155_ABI)
+
+const TRANSFER_TOPIC        = erc721.getEvent('Transfer').topicHash
+const TRANSFER_SINGLE_TOPIC = erc1155.getEvent('TransferSingle').topicHash
+const TRANSFER_BATCH_TOPIC  = erc1155.getEvent('TransferBatch').topicHash
+
+// How far back to look for transfers. Raise it for collections
+// minted long ago (each RPC call covers a chunk — lib/logs.js).
+export const NFT_LOOKBACK_BLOCKS = Number(import.meta.env.VITE_NFT_LOOKBACK_BLOCKS) || 1_000_000
+
+export const STANDARD_LABELS = { erc721: 'ERC-721', erc1155: 'ERC-1155' }
+
+// ── detectCollection() ────────────────────────────────────────
+// → { standard: 'erc721' | 'erc1155', name, symbol }.
+// name/symbol are optional in both standards ('' if missing).
+// Throws if the address isn't an NFT contract.
+export const detectCollection = async (provider, address) => {
+  if (await provider.getCode(address) === '0x')
+    throw new Error('No contract at this address on this network.')
+
+  const contract = new ethers.Contract(address, [...ERC165_ABI, ...ERC721_ABI], provider)
+  // Contracts without ERC-165 revert — treat that as "no"
+  const supports = (id) => contract.supportsInterface(id).catch(() => false)
+  const [is721, is1155] = await Promise.all([supports(INTERFACE_IDS.erc721), supports(INTERFACE_IDS.erc1155)])
+  if (!is721 && !is1155)
+    throw new Error('This contract does not report ERC-721 or ERC-1155 support (ERC-165).')
+
+  const [name, symbol] = await Promise.all([
+    contract.name().catch(() => ''),
+    contract.symbol().catch(() => ''),
+  ])
+  return { standard: is721 ? 'erc721' : 'erc1155', name, symbol }
+}
+
+// ── receivedIds() ─────────────────────────────────────────────
+// Every token id of `collection` ever transferred to `owner`.
+const receivedIds = async (provider, collection, standard, owner, range) => {
+  const ownerTopic = ethers.zeroPadValue(owner, 32)
+  const ids = new Set()
+
+  if (standard === 'erc721') {
+    // Transfer(from, to, tokenId): to = topic 2
+    const logs = await getLogsChunked(provider, { address: collection, topics: [TRANSFER_TOPIC, null, ownerTopic] }, range)
+    // An ERC-20 Transfer has 3 topics (value isn't indexed) — skip those
+    for (const log of logs) if (log.topics.length === 4) ids.add(BigInt(log.topics[3]))
+    return [...ids]
+  }
+
+  // TransferSingle/Batch(operator, from, to, …): to = topic 3
+  const logs = await getLogsChunked(provider, {
+    address: collection,
+    topics:  [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, null, ownerTopic],
+  }, range)
+  for (const log of logs) {
+    const event = erc1155.parseLog(log)
+    if (event.name === 'TransferSingle') ids.add(event.args.id)
+    else event.args.ids.forEach(id => ids.add(id))
+  }
+  return [...ids]
+}
+
+// ── findOwnedNfts() ───────────────────────────────────────────
+// → [{ id, balance }] (bigints) that `owner` holds right now,
+// lowest id first. ERC-721 balances are always 1n.
+// onProgress({ from, to, current }) while reading logs.
+export const findOwnedNfts = async (provider, chainId, collection, standard, owner, { onProgress } = {}) => {
+  const head      = await provider.getBlockNumber()
+  const fromBlock = Math.max(0, head - NFT_LOOKBACK_BLOCKS + 1)
+  const ids       = await receivedIds(provider, collection, standard, owner, {
+    fromBlock, toBlock: head,
+    onProgress: (block) => onProgress?.({ from: fromBlock, to: head, current: block }),
+  })
+
+  // Still theirs? One multicall for all candidates
+  const results = await aggregate3(provider, chainId, ids.map(id => ({
+    target:   collection,
+    callData: standard === 'erc721'
+      ? erc721.encodeFunctionData('ownerOf', [id])
+      : erc1155.encodeFunctionData('balanceOf', [owner, id]),
+  })))
+
+  return ids
+    .map((id, i) => {
+      let balance = 0n
+      try {
+        if (!results[i].success) return { id, balance }
+        if (standard === 'erc721') {
+          const holder = erc721.decodeFunctionResult('ownerOf', results[i].returnData)[0]
+          balance = holder.toLowerCase() === owner.toLowerCase() ? 1n : 0n
+        } else {
+          balance = erc1155.decodeFunctionResult('balanceOf', results[i].returnData)[0]
+        }
+      } catch {
+        // Malformed return data — treat as not held
+      }
+      return { id, balance }
+    })
+    .filter(nft => nft.balance > 0n)
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+}
+
+// ── loadNftMetadata() ─────────────────────────────────────────
+// tokenURI (721) / uri (1155) → metadata JSON →
+//   { uri, name, description, image }
+// image is a URL the browser can load (or null). Results are
+// cached for the session. Throws if the URI or JSON is unusable.
+const metadataCache = new Map()
+
+export const loadNftMetadata = (provider, chainId, collection, standard, id) => {
+  const key = `${chainId}:${collection.toLowerCase()}:${id}`
+  if (!metadataCache.has(key)) {
+    const pending = fetchMetadata(provider, collection, standard, id)
+    // Don't cache failures — the gateway may just be slow
+    metadataCache.set(key, pending.catch(err => { metadataCache.delete(key); throw err }))
+  }
+  return metadataCache.get(key)
+}
+
+const fetchMetadata = async (provider, collection, standard, id) => {
+  let uri
+  if (standard === 'erc721') {
+    uri = await new ethers.Contract(collection, ERC721_ABI, provider).tokenURI(id)
+  } else {
+    // ERC-1155: "{id}" → the id as 64 lowercase hex chars, no 0x
+    uri = (await new ethers.Contract(collection, ERC1155_ABI, provider).uri(id))
+      .replaceAll('{id}', id.toString(16).padStart(64, '0'))
+  }
+
+  const url = resolveUri(uri)
+  if (!url) throw new Error(`Unsupported metadata URI: ${uri}`)
+
+  // fetch() reads data: URIs too (base64 or URL-encoded JSON)
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`Metadata request failed (HTTP ${response.status}).`)
+  const json = await response.json()
+
+  // image_data is inline SVG (OpenSea extension)
+  const image = resolveUri(json.image ?? json.image_url)
+    ?? (typeof json.image_data === 'string' ? `data:image/svg+xml;utf8,${encodeURIComponent(json.image_data)}` : null)
+
+  return {
+    uri,
+    name:        typeof json.name === 'string' ? json.name : '',
+    description: typeof json.description === 'string' ? json.description : '',
+    image,
+  }
+}
+
+// ── nftTransferCall() ─────────────────────────────────────────
+// The safeTransferFrom() transaction for one NFT → { to, data }.
+// Used both to estimate gas and to send (SendEth.jsx).
+export const nftTransferCall = ({ collection, standard, id }, from, to, amount = 1n) => ({
+  to:   collection,
+  data: standard === 'erc721'
+    ? erc721.encodeFunctionData('safeTransferFrom(address,address,uint256)', [from, to, id])
+    : erc1155.encodeFunctionData('safeTransferFrom', [from, to, id, amount, '0x']),
+})
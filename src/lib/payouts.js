@@ -0,0 +1,204 @@
+// src/lib/payouts.js
+// ─────────────────────────────────────────────────────────────
+// Batch payouts: many recipients from one CSV (SendEth's batch
+// mode — see components/BatchSend.jsx).
+//
+// Each CSV line is   address,amount[,token]
+//   address  0x address or ENS name
+//   amount   in whole units e.g. 12.5 (not wei)
+//   token    optional: native symbol (default), a watched
+//            token's symbol, or a token's 0x address
+//
+// A batch is sent one of two ways:
+//   sequential  one transaction per row, nonces assigned by us
+//               so the wallet can sign them back to back
+//   disperse    one call per asset through the Disperse contract
+//               (tokens need an approve() first)
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+import { ERC20_ABI } from '../config/abis'
+import { getTokenMeta } from './tokenMeta'
+import { isEnsName, resolveEnsName } from './ens'
+
+export const MAX_PAYOUT_ROWS = 500
+
+// ── amountError() ─────────────────────────────────────────────
+// The amount rules SendEth's validate() uses, shared with the
+// batch. → error message, or null if `value` is a valid amount
+// of an asset with `decimals`.
+export const amountError = (value, decimals, symbol) => {
+  const amt = parseFloat(value)
+  if (isNaN(amt) || amt <= 0)
+    return 'Enter a valid amount greater than 0.'
+  try {
+    ethers.parseUnits(value, decimals)
+  } catch {
+    return `Too many decimal places. ${symbol} has ${decimals} decimals.`
+  }
+  return null
+}
+
+// ── parsePayoutCsv() ──────────────────────────────────────────
+// CSV text → [{ line, address, amount, token }] (raw strings).
+// Blank lines, "#" comments and an "address,amount" header row
+// are skipped. Throws on lines with the wrong number of fields.
+const splitCsvLine = (line) => {
+  const fields = []
+  let field = '', quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') { field += '"'; i++ }
+      else if (char === '"') quoted = false
+      else field += char
+    } else if (char === '"') quoted = true
+    else if (char === ',') { fields.push(field.trim()); field = '' }
+    else field += char
+  }
+  fields.push(field.trim())
+  return fields
+}
+
+export const parsePayoutCsv = (text) => {
+  const rows = []
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim()
+    if (!line || line.startsWith('#')) return
+
+    const fields = splitCsvLine(line)
+    if (rows.length === 0 && fields[0].toLowerCase() === 'address') return  // header
+    if (fields.length < 2 || fields.length > 3)
+      throw new Error(`Line ${i + 1}: expected address,amount or address,amount,token.`)
+
+    rows.push({ line: i + 1, address: fields[0], amount: fields[1], token: fields[2] ?? '' })
+  })
+
+  if (rows.length === 0) throw new Error('No payout rows found. Use one address,amount[,token] per line.')
+  if (rows.length > MAX_PAYOUT_ROWS) throw new Error(`Batches are limited to ${MAX_PAYOUT_ROWS} rows.`)
+  return rows
+}
+
+// ── resolvePayouts() ──────────────────────────────────────────
+// Checks every row and works out what it sends:
+//   → [{ ...row, recipient, asset, value, error }]
+// asset is { address, symbol, decimals } (address null = native).
+// Rows that fail get `error` and no value. Never throws.
+const resolveAsset = async (token, { chainId, nativeCurrency, watchedTokens }) => {
+  const value = token.trim()
+  if (!value || value.toUpperCase() === nativeCurrency.symbol.toUpperCase())
+    return { address: null, symbol: nativeCurrency.symbol, decimals: nativeCurrency.decimals }
+
+  if (ethers.isAddress(value)) {
+    try {
+      const { address, symbol, decimals } = await getTokenMeta(chainId, ethers.getAddress(value))
+      return { address, symbol, decimals }
+    } catch {
+      throw new Error(`Could not read token ${value}. Is it an ERC20 contract on this network?`)
+    }
+  }
+
+  const watched = watchedTokens.filter(t => t.symbol.toUpperCase() === value.toUpperCase())
+  if (watched.length === 1) return { address: watched[0].address, symbol: watched[0].symbol, decimals: watched[0].decimals }
+  if (watched.length > 1) throw new Error(`Several watched tokens are called ${value}. Use the token's 0x address.`)
+  throw new Error(`Unknown token "${value}". Use a watched token's symbol or its 0x address.`)
+}
+
+const resolveRecipient = async (address, chainId) => {
+  if (ethers.isAddress(address)) return ethers.getAddress(address)
+  if (isEnsName(address)) return resolveEnsName(address, chainId)
+  throw new Error('Invalid address. Enter a 0x address (42 characters) or an ENS name.')
+}
+
+export const resolvePayouts = (rows, context) =>
+  Promise.all(rows.map(async (row) => {
+    try {
+      const [recipient, asset] = await Promise.all([
+        resolveRecipient(row.address, context.chainId),
+        resolveAsset(row.token, context),
+      ])
+      const error = amountError(row.amount, asset.decimals, asset.symbol)
+      if (error) throw new Error(error)
+      return { ...row, recipient, asset, value: ethers.parseUnits(row.amount, asset.decimals), error: null }
+    } catch (err) {
+      return { ...row, recipient: null, asset: null, value: null, error: err.message }
+    }
+  }))
+
+// ── groupByAsset() ────────────────────────────────────────────
+// Valid rows → [{ asset, rows, total }], native first.
+export const groupByAsset = (rows) => {
+  const groups = new Map()
+  for (const row of rows) {
+    if (row.error) continue
+    const key = row.asset.address ?? 'native'
+    if (!groups.has(key)) groups.set(key, { asset: row.asset, rows: [], total: 0n })
+    const group = groups.get(key)
+    group.rows.push(row)
+    group.total += row.value
+  }
+  return [...groups.values()].sort((a, b) => Number(a.asset.address != null) - Number(b.asset.address != null))
+}
+
+// ── Disperse ──────────────────────────────────────────────────
+// disperse.app — the same address on mainnet and most L2s and
+// testnets. disperseToken() pulls tokens with transferFrom(), so
+// it needs an allowance of at least the group total.
+export const DISPERSE_ADDRESS = '0xD152f549545093347A162Dce210e7293f1452150'
+
+export const DISPERSE_ABI = [
+  'function disperseEther(address[] recipients, uint256[] values) payable',
+  'function disperseToken(address token, address[] recipients, uint256[] values)',
+]
+
+const disperse = new ethers.Interface(DISPERSE_ABI)
+const erc20    = new ethers.Interface(ERC20_ABI)
+
+// chainId → Promise<boolean>
+const disperseDeployed = new Map()
+
+export const hasDisperse = (provider, chainId) => {
+  if (!disperseDeployed.has(chainId)) {
+    const check = provider.getCode(DISPERSE_ADDRESS).then(code => code !== '0x')
+    disperseDeployed.set(chainId, check.catch(err => { disperseDeployed.delete(chainId); throw err }))
+  }
+  return disperseDeployed.get(chainId)
+}
+
+// One payout row as a transaction request → { to, value?, data? }
+export const payoutCall = (row) => (row.asset.address
+  ? { to: row.asset.address, data: erc20.encodeFunctionData('transfer', [row.recipient, row.value]) }
+  : { to: row.recipient, value: row.value })
+
+// One asset group through Disperse → { to, value?, data }
+export const disperseCall = (group) => {
+  const recipients = group.rows.map(r => r.recipient)
+  const values     = group.rows.map(r => r.value)
+  return group.asset.address
+    ? { to: DISPERSE_ADDRESS, data: disperse.encodeFunctionData('disperseToken', [group.asset.address, recipients, values]) }
+    : { to: DISPERSE_ADDRESS, value: group.total, data: disperse.encodeFunctionData('disperseEther', [recipients, values]) }
+}
+
+// The approve() Disperse needs before a token group
+export const disperseApproveCall = (group) => ({
+  to:   group.asset.address,
+  data: erc20.encodeFunctionData('approve', [DISPERSE_ADDRESS, group.total]),
+})
+
+// ── Result report ─────────────────────────────────────────────
+// One row per CSV line, in file order, for the downloadable CSV.
+export const REPORT_COLUMNS = ['line', 'address', 'recipient', 'token', 'amount', 'status', 'tx_hash', 'error']
+
+export const toReportRows = (rows, statuses) => rows.map(row => {
+  const status = statuses[row.line] ?? {}
+  return {
+    line:      row.line,
+    address:   row.address,
+    recipient: row.recipient ?? '',
+    token:     row.asset?.address ?? row.asset?.symbol ?? row.token,
+    amount:    row.amount,
+    status:    row.error ? 'invalid' : status.state ?? 'not sent',
+    tx_hash:   status.hash ?? '',
+    error:     row.error ?? status.error ?? '',
+  }
+})
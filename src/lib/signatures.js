@@ -0,0 +1,157 @@
+// src/lib/signatures.js
+// ─────────────────────────────────────────────────────────────
+// Off-chain signatures: signing and verifying.
+//
+// Two formats wallets sign:
+//   personal_sign           a plain message, prefixed with
+//                           "\x19Ethereum Signed Message:\n<len>"
+//                           so it can never be a transaction
+//   eth_signTypedData_v4    EIP-712 structured data: a domain
+//                           (app, chain, contract) + typed fields,
+//                           shown field by field in the wallet
+//
+// Verifying an EOA signature = recovering the address from it.
+// Contract wallets can't sign themselves; ERC-1271 lets us ask
+// the contract instead: isValidSignature(hash, signature).
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+import { ERC1271_ABI, ERC1271_MAGIC_VALUE } from '../config/abis'
+
+// Field types offered by the typed-data form builder. Anything
+// fancier (nested structs, arrays) goes through pasted JSON.
+export const TYPED_FIELD_TYPES = ['address', 'uint256', 'int256', 'string', 'bool', 'bytes32', 'bytes']
+
+// ── toMessage() ───────────────────────────────────────────────
+// personal_sign payload: text as-is, or — when asked — a 0x hex
+// string as raw bytes (e.g. a hash a backend wants signed).
+export const toMessage = (text, asBytes) => {
+  if (!asBytes) return text
+  const hex = text.trim()
+  // `true` = whole bytes only; getBytes() throws on odd-length hex
+  if (!ethers.isHexString(hex, true)) throw new Error('Enter the bytes as an even-length 0x hex string.')
+  return ethers.getBytes(hex)
+}
+
+// ── parseTypedData() ──────────────────────────────────────────
+// Pasted JSON ({ domain, types, primaryType, message }, as sent
+// to eth_signTypedData_v4) → the same, validated. EIP712Domain
+// is dropped from `types`: ethers derives it from the domain.
+// Throws with a readable message.
+export const parseTypedData = (text) => {
+  let data
+  try {
+    data = typeof text === 'string' ? JSON.parse(text) : text
+  } catch {
+    throw new Error('This is not valid JSON.')
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data))
+    throw new Error('Expected { domain, types, primaryType, message }.')
+  const { domain, types, message } = data
+  if (!domain || typeof domain !== 'object') throw new Error('Missing "domain" object.')
+  if (!types || typeof types !== 'object') throw new Error('Missing "types" object.')
+  if (!message || typeof message !== 'object') throw new Error('Missing "message" object.')
+
+  const { EIP712Domain: _domainType, ...structs } = types
+  const primaryType = data.primaryType ?? ethers.TypedDataEncoder.getPrimaryType(structs)
+  if (!structs[primaryType]) throw new Error(`"types" has no definition for primaryType ${primaryType}.`)
+
+  try {
+    // Throws on unknown types, missing fields or values that don't fit
+    ethers.TypedDataEncoder.hash(domain, structs, message)
+  } catch (err) {
+    throw new Error(`Invalid typed data: ${err.shortMessage || err.message}`)
+  }
+  return { domain, types: structs, primaryType, message }
+}
+
+// ── buildTypedData() ──────────────────────────────────────────
+// The form builder's fields → typed data for parseTypedData().
+//   domain: { name, version, chainId, verifyingContract } (strings, empty = left out)
+//   fields: [{ name, type, value }] — one struct, primaryType
+// Form values are strings; bools become true/false.
+export const buildTypedData = ({ domain, primaryType, fields }) => {
+  const cleanDomain = {}
+  if (domain.name) cleanDomain.name = domain.name
+  if (domain.version) cleanDomain.version = domain.version
+  if (domain.chainId) cleanDomain.chainId = Number(domain.chainId)
+  if (domain.verifyingContract) cleanDomain.verifyingContract = domain.verifyingContract.trim()
+
+  const name = primaryType.trim()
+  if (!/^[A-Za-z_]\w*$/.test(name)) throw new Error('The primary type needs a name like "Order" (letters, digits, _).')
+  if (fields.length === 0) throw new Error('Add at least one field.')
+
+  const message = {}
+  for (const field of fields) {
+    if (!/^[A-Za-z_]\w*$/.test(field.name)) throw new Error(`Invalid field name "${field.name}".`)
+    if (field.name in message) throw new Error(`Field "${field.name}" appears twice.`)
+    message[field.name] = field.type === 'bool' ? field.value.trim() === 'true' : field.value.trim()
+  }
+
+  return parseTypedData({
+    domain:      cleanDomain,
+    types:       { [name]: fields.map(f => ({ name: f.name, type: f.type })) },
+    primaryType: name,
+    message,
+  })
+}
+
+// JSON for display / editing. BigInts (from parsed values) become strings.
+export const typedDataToJson = (typed) =>
+  JSON.stringify(typed, (_key, value) => (typeof value === 'bigint' ? value.toString() : value), 2)
+
+// ── Signing (through the wallet) ──────────────────────────────
+// ethers sends personal_sign / eth_signTypedData_v4 for these
+export const signPersonal = (signer, message) => signer.signMessage(message)
+
+export const signTyped = (signer, { domain, types, message }) =>
+  signer.signTypedData(domain, types, message)
+
+// ── verifySignature() ─────────────────────────────────────────
+//   payload: { kind: 'personal', message } or { kind: 'typed', typed }
+//   expected: the claimed signer (optional)
+// → {
+//     hash       the digest that was signed
+//     recovered  ECDSA signer, or null if the signature isn't a
+//                65-byte ECDSA one (common for contract wallets)
+//     matches    recovered === expected (null without expected)
+//     contract   expected is a contract
+//     erc1271    its isValidSignature() verdict (null if not a contract)
+//   }
+export const verifySignature = async (provider, payload, signature, expected) => {
+  const sig = signature.trim()
+  if (!ethers.isHexString(sig)) throw new Error('The signature must be a 0x hex string.')
+
+  const typed = payload.kind === 'typed'
+  const hash  = typed
+    ? ethers.TypedDataEncoder.hash(payload.typed.domain, payload.typed.types, payload.typed.message)
+    : ethers.hashMessage(payload.message)
+
+  let recovered = null
+  try {
+    recovered = typed
+      ? ethers.verifyTypedData(payload.typed.domain, payload.typed.types, payload.typed.message, sig)
+      : ethers.verifyMessage(payload.message, sig)
+  } catch {
+    // Not a plain ECDSA signature — only ERC-1271 can tell
+  }
+
+  if (!expected) return { hash, recovered, matches: null, contract: false, erc1271: null }
+  if (!ethers.isAddress(expected)) throw new Error('The expected signer must be a 0x address.')
+
+  const signer   = ethers.getAddress(expected)
+  const matches  = recovered === signer
+  const contract = await provider.getCode(signer) !== '0x'
+  let erc1271 = null
+  if (contract) {
+    try {
+      const result = await new ethers.Contract(signer, ERC1271_ABI, provider).isValidSignature(hash, sig)
+      erc1271 = result === ERC1271_MAGIC_VALUE
+    } catch {
+      // Reverts are how many wallets say "invalid"
+      erc1271 = false
+    }
+  }
+  return { hash, recovered, matches, contract, erc1271 }
+}
@@ -0,0 +1,210 @@
+// src/lib/siwe.js
+// ─────────────────────────────────────────────────────────────
+// Sign-In with Ethereum (EIP-4361): the login message a dapp
+// asks the wallet to personal_sign, and the checks a backend
+// runs before trusting it.
+//
+//   example.com wants you to sign in with your Ethereum account:
+//   0xAbC…            ← EIP-55 checksummed
+//
+//   I accept the Terms of Service   ← optional statement
+//
+//   URI: https://example.com/login
+//   Version: 1
+//   Chain ID: 1
+//   Nonce: 32891756            ← ≥ 8 alphanumerics, from the server
+//   Issued At: 2021-09-30T16:25:24Z
+//   Expiration Time: …         ← optional from here on
+//   Not Before: …
+//   Request ID: …
+//   Resources:
+//   - https://example.com/my-web2-claim.json
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+import { verifySignature } from './signatures'
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:'
+
+// Optional fields, in the order the spec requires
+const OPTIONAL_FIELDS = [
+  ['expirationTime', 'Expiration Time'],
+  ['notBefore',      'Not Before'],
+  ['requestId',      'Request ID'],
+]
+
+const NONCE_PATTERN = /^[A-Za-z0-9]{8,}$/
+// RFC 3339 date-time e.g. 2021-09-30T16:25:24.000Z or …+02:00
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/
+
+// ── generateNonce() ───────────────────────────────────────────
+// 16 random alphanumerics. Real logins take the nonce from the
+// server (that's what stops replays); this is for testing.
+export const generateNonce = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => chars[byte % chars.length]).join('')
+}
+
+// ── buildSiweMessage() ────────────────────────────────────────
+//   { domain, address, statement?, uri, chainId, nonce, issuedAt,
+//     expirationTime?, notBefore?, requestId?, resources? }
+// → the message text. Throws if a field breaks the spec.
+export const buildSiweMessage = (fields) => {
+  const { domain, address, statement, uri, chainId, nonce, issuedAt, resources = [] } = fields
+
+  if (!domain || /\s/.test(domain)) throw new Error('Domain must be a host like example.com (no spaces).')
+  if (!ethers.isAddress(address)) throw new Error('Address must be a 0x address.')
+  if (statement?.includes('\n')) throw new Error('The statement must be a single line.')
+  if (!uri || !URL.canParse(uri)) throw new Error('URI must be an absolute URI like https://example.com/login.')
+  if (!Number.isInteger(chainId) || chainId < 1) throw new Error('Chain ID must be a positive whole number.')
+  if (!NONCE_PATTERN.test(nonce ?? '')) throw new Error('Nonce must be at least 8 letters or digits.')
+  for (const [key, label] of [['issuedAt', 'Issued At'], ['expirationTime', 'Expiration Time'], ['notBefore', 'Not Before']]) {
+    if (fields[key] && !DATE_PATTERN.test(fields[key])) throw new Error(`${label} must be an ISO 8601 date-time.`)
+  }
+  if (!issuedAt) throw new Error('Issued At is required.')
+  for (const resource of resources) {
+    if (!URL.canParse(resource)) throw new Error(`Resource "${resource}" is not an absolute URI.`)
+  }
+
+  const lines = [
+    `${domain}${HEADER_SUFFIX}`,
+    ethers.getAddress(address),
+    '',
+    ...(statement ? [statement, ''] : ['']),
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    ...OPTIONAL_FIELDS.filter(([key]) => fields[key]).map(([key, label]) => `${label}: ${fields[key]}`),
+    ...(resources.length ? ['Resources:', ...resources.map(r => `- ${r}`)] : []),
+  ]
+  return lines.join('\n')
+}
+
+// ── parseSiweMessage() ────────────────────────────────────────
+// Message text → the fields buildSiweMessage() takes (plus
+// `scheme` if the domain line had one). Throws naming the first
+// line that doesn't follow the spec.
+export const parseSiweMessage = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n')
+  let i = 0
+  const fail = (expected) => { throw new Error(`Line ${i + 1}: expected ${expected}.`) }
+
+  const header = lines[i]?.match(/^(?:([a-zA-Z][a-zA-Z0-9+.-]*):\/\/)?(\S+) wants you to sign in with your Ethereum account:$/)
+  if (!header) fail('"<domain> wants you to sign in with your Ethereum account:"')
+  const fields = { scheme: header[1] ?? null, domain: header[2] }
+  i++
+
+  if (!/^0x[0-9a-fA-F]{40}$/.test(lines[i] ?? '')) fail('the 0x address')
+  let checksummed = null
+  try { checksummed = ethers.getAddress(lines[i]) } catch { /* bad mixed-case checksum */ }
+  if (checksummed !== lines[i]) fail('the address in EIP-55 checksum case')
+  fields.address = lines[i++]
+
+  if (lines[i] !== '') fail('an empty line')
+  i++
+  // Optional statement, then an empty line
+  if (lines[i] !== '' && !lines[i]?.startsWith('URI: ')) {
+    fields.statement = lines[i++]
+  }
+  if (lines[i] !== '') fail('an empty line')
+  i++
+
+  const required = (label, key, check = () => true, what = label) => {
+    const match = lines[i]?.startsWith(`${label}: `) ? lines[i].slice(label.length + 2) : null
+    if (match == null || !check(match)) fail(`"${label}: <${what}>"`)
+    fields[key] = match
+    i++
+  }
+  required('URI', 'uri', URL.canParse, 'absolute URI')
+  required('Version', 'version', v => v === '1', '1')
+  required('Chain ID', 'chainId', v => /^\d+$/.test(v), 'number')
+  fields.chainId = Number(fields.chainId)
+  required('Nonce', 'nonce', v => NONCE_PATTERN.test(v), '8+ alphanumerics')
+  required('Issued At', 'issuedAt', v => DATE_PATTERN.test(v), 'ISO 8601 date-time')
+
+  for (const [key, label] of OPTIONAL_FIELDS) {
+    if (!lines[i]?.startsWith(`${label}: `)) continue
+    const value = lines[i].slice(label.length + 2)
+    if (key !== 'requestId' && !DATE_PATTERN.test(value)) fail(`"${label}: <ISO 8601 date-time>"`)
+    fields[key] = value
+    i++
+  }
+
+  fields.resources = []
+  if (lines[i] === 'Resources:') {
+    i++
+    while (lines[i]?.startsWith('- ')) {
+      const resource = lines[i].slice(2)
+      if (!URL.canParse(resource)) fail('"- <absolute URI>"')
+      fields.resources.push(resource)
+      i++
+    }
+  }
+
+  // Tolerate one trailing newline; anything else is extra
+  if (i < lines.length && !(i === lines.length - 1 && lines[i] === '')) fail('the end of the message')
+  return fields
+}
+
+// ── validateSiwe() ────────────────────────────────────────────
+// What a backend checks before accepting a login:
+//   expected: { domain, chainId, now (ms) }
+// → { fields, checks: [{ field, ok, message }] } — every check
+// runs so all failures are reported at once. `fields` is null
+// (and the only check fails) if the message can't be parsed.
+// The signer check accepts EOAs and ERC-1271 contract wallets;
+// `provider` must be on the expected chain, or null when there
+// is none — then only EOA signatures can pass.
+export const validateSiwe = async (provider, text, signature, { domain, chainId, now = Date.now() }) => {
+  let fields
+  try {
+    fields = parseSiweMessage(text)
+  } catch (err) {
+    return { fields: null, checks: [{ field: 'format', ok: false, message: err.message }] }
+  }
+
+  const checks = []
+  const check = (field, ok, message) => checks.push({ field, ok, message })
+  const at = (value) => new Date(value).getTime()
+
+  check('domain', fields.domain === domain,
+    fields.domain === domain ? `Domain is ${domain}.` : `Domain mismatch: the message is for ${fields.domain}, expected ${domain}.`)
+
+  check('chain', fields.chainId === chainId,
+    fields.chainId === chainId ? `Chain ID is ${chainId}.` : `Wrong chain: the message is for chain ${fields.chainId}, expected ${chainId}.`)
+
+  if (fields.expirationTime) {
+    const expired = at(fields.expirationTime) <= now
+    check('expirationTime', !expired,
+      expired ? `Expired at ${fields.expirationTime}.` : `Valid until ${fields.expirationTime}.`)
+  }
+  if (fields.notBefore) {
+    const early = at(fields.notBefore) > now
+    check('notBefore', !early,
+      early ? `Not valid before ${fields.notBefore}.` : `Valid since ${fields.notBefore}.`)
+  }
+  const future = at(fields.issuedAt) > now
+  check('issuedAt', !future,
+    future ? `Issued in the future (${fields.issuedAt}) — check the signer's clock.` : `Issued at ${fields.issuedAt}.`)
+
+  try {
+    const payload = { kind: 'personal', message: text }
+    const result  = provider
+      ? await verifySignature(provider, payload, signature, fields.address)
+      : await verifySignature(null, payload, signature)
+    const ok = result.recovered === fields.address || result.erc1271 === true
+    check('signature', ok,
+      ok ? `Signed by ${fields.address}${result.erc1271 ? ' (ERC-1271 contract wallet)' : ''}.`
+        : !provider
+          ? `Not signed by ${fields.address}'s key, and without an RPC for chain ${chainId} a contract wallet (ERC-1271) can't be asked.`
+        : result.recovered
+          ? `Wrong signer: signed by ${result.recovered}, but the message is for ${fields.address}.`
+          : `Wrong signer: the signature is not valid for ${fields.address}.`)
+  } catch (err) {
+    check('signature', false, err.shortMessage || err.message)
+  }
+
+  return { fields, checks }
+}
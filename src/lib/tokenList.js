@@ -0,0 +1,87 @@
+// src/lib/tokenList.js
+// ─────────────────────────────────────────────────────────────
+// Plain helpers behind the token watchlist in tokenStore.js.
+//
+// A watched token is:
+//   { chainId, address, symbol, name, decimals, logoURI }
+//
+// Lists can be imported in the standard token list format used
+// by Uniswap and most wallets (https://tokenlists.org):
+//   { name, timestamp, version: { major, minor, patch },
+//     tokens: [{ chainId, address, symbol, name, decimals, logoURI }] }
+// One list may hold tokens for many chains; each chain only
+// shows its own.
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+
+// Limits from the token list JSON schema
+const MAX_TOKENS     = 10000
+const MAX_NAME       = 60
+const MAX_SYMBOL     = 20
+const LOGO_SCHEMES   = /^(https?|ipfs|ipns|data):/i
+
+// ── normalizeToken() ──────────────────────────────────────────
+// Validates one token and returns it in stored form
+// (checksummed address, trimmed strings). Throws on bad input.
+export const normalizeToken = ({ chainId, address, symbol, name = '', decimals, logoURI }) => {
+  if (!Number.isInteger(chainId) || chainId < 1)
+    throw new Error(`Invalid chainId: ${chainId}`)
+  if (typeof address !== 'string' || !ethers.isAddress(address.trim()))
+    throw new Error(`Invalid address: ${address}`)
+  if (typeof symbol !== 'string' || !symbol.trim() || symbol.length > MAX_SYMBOL)
+    throw new Error(`Invalid symbol: ${symbol}`)
+  if (typeof name !== 'string' || name.length > MAX_NAME)
+    throw new Error(`Invalid name for ${symbol}`)
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255)
+    throw new Error(`Invalid decimals for ${symbol}: ${decimals}`)
+  if (logoURI != null && (typeof logoURI !== 'string' || !LOGO_SCHEMES.test(logoURI)))
+    throw new Error(`Invalid logoURI for ${symbol}`)
+
+  return {
+    chainId,
+    address:  ethers.getAddress(address.trim()),
+    symbol:   symbol.trim(),
+    name:     name.trim(),
+    decimals,
+    logoURI:  logoURI ?? null,
+  }
+}
+
+// Same chain + same contract = the same token
+export const isSameToken = (a, b) => a.chainId === b.chainId && a.address === b.address
+
+// ── parseTokenList() ──────────────────────────────────────────
+// JSON text → { name, tokens } with every token validated.
+// Throws with the first problem found.
+export const parseTokenList = (text) => {
+  let list
+  try {
+    list = JSON.parse(text)
+  } catch {
+    throw new Error('This file is not valid JSON.')
+  }
+
+  if (!list || typeof list !== 'object' || Array.isArray(list))
+    throw new Error('Expected a token list object: { name, timestamp, version, tokens }.')
+  if (typeof list.name !== 'string' || !list.name.trim())
+    throw new Error('The token list has no name.')
+  if (typeof list.timestamp !== 'string' || Number.isNaN(Date.parse(list.timestamp)))
+    throw new Error('The token list has no valid timestamp.')
+  if (!['major', 'minor', 'patch'].every(part => Number.isInteger(list.version?.[part]) && list.version[part] >= 0))
+    throw new Error('The token list has no valid version { major, minor, patch }.')
+  if (!Array.isArray(list.tokens))
+    throw new Error('The token list has no "tokens" array.')
+  if (list.tokens.length > MAX_TOKENS)
+    throw new Error(`Token lists are limited to ${MAX_TOKENS.toLocaleString('en-US')} tokens.`)
+
+  const tokens = list.tokens.map((token, i) => {
+    try {
+      return normalizeToken(token ?? {})
+    } catch (err) {
+      throw new Error(`Token ${i + 1}${token?.symbol ? ` (${token.symbol})` : ''}: ${err.message}`)
+    }
+  })
+
+  return { name: list.name.trim(), tokens }
+}
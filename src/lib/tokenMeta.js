@@ -0,0 +1,71 @@
+// src/lib/tokenMeta.js
+// ─────────────────────────────────────────────────────────────
+// ERC-20 metadata (symbol, decimals, name) — cached forever.
+//
+// A token's metadata never changes once deployed, so we read it
+// from the contract ONCE per chain and keep it in IndexedDB
+// (lib/cache.js). Balances are NOT cached — those are always
+// read live.
+//
+// Lookup order: memory → IndexedDB → the contract itself.
+//
+// Some early tokens (MKR, SAI…) predate the final standard and
+// return symbol/name as bytes32 instead of a string — both work.
+// ─────────────────────────────────────────────────────────────
+
+import { ethers } from 'ethers'
+import { useWalletStore } from '../store/walletStore'
+import { ERC20_ABI } from '../config/abis'
+import { getChain } from '../config/chains'
+import { cacheKey, cacheGet, cachePut } from './cache'
+
+// key → Promise<meta>, so parallel callers share one lookup
+const memory = new Map()
+
+const erc20 = new ethers.Interface(ERC20_ABI)
+
+// ── decodeTokenString() ───────────────────────────────────────
+// The raw return data of symbol() / name() → a string.
+// Throws (like any ABI decode) when it's neither a string nor bytes32.
+export const decodeTokenString = (data) => {
+  try {
+    return erc20.decodeFunctionResult('symbol', data)[0]
+  } catch (err) {
+    // bytes32: one word, text padded with zero bytes on the right
+    if (ethers.dataLength(data) !== 32) throw err
+    return ethers.toUtf8String(data.replace(/(00)+$/, '')).trim()
+  }
+}
+
+// Calls a no-argument view function and returns the raw result
+const readRaw = (provider, tokenAddress, fn) =>
+  provider.call({ to: tokenAddress, data: erc20.encodeFunctionData(fn) })
+
+// ── getTokenMeta() ────────────────────────────────────────────
+// → { address, symbol, decimals, name }
+// Throws the contract call's error when the address isn't an
+// ERC-20 (nothing is cached then). name() is optional in the
+// standard, so a token without it gets ''.
+export const getTokenMeta = (chainId, tokenAddress) => {
+  const id  = getChain(chainId).id   // null (no wallet yet) → the default chain
+  const key = cacheKey(id, tokenAddress)
+  if (!memory.has(key)) {
+    const load = async () => {
+      const saved = await cacheGet('tokens', key)
+      if (saved) return { address: saved.address, symbol: saved.symbol, decimals: saved.decimals, name: saved.name }
+
+      const provider = useWalletStore.getState().getReadProvider(id)
+      const [symbol, decimals, name] = await Promise.all([
+        readRaw(provider, tokenAddress, 'symbol').then(decodeTokenString),
+        readRaw(provider, tokenAddress, 'decimals').then(data => erc20.decodeFunctionResult('decimals', data)[0]),
+        readRaw(provider, tokenAddress, 'name').then(decodeTokenString).catch(() => ''),
+      ])
+
+      const meta = { address: ethers.getAddress(tokenAddress), symbol, decimals: Number(decimals), name }
+      await cachePut('tokens', { key, chainId: id, ...meta })
+      return meta
+    }
+    memory.set(key, load().catch(err => { memory.delete(key); throw err }))
+  }
+  return memory.get(key)
+}
@@ -2,6 +2,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { useTxStore } from './store/txStore'
+
+// Resume watching transactions sent before the last reload.
+// Kicked off here, once both stores exist, because it reads
+// through the wallet store's read providers.
+useTxStore.getState().resumePending()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,68 @@
+// src/store/abiStore.js
+// ─────────────────────────────────────────────────────────────
+// ABIs the user has imported, for decoding contract calls.
+//
+// Each entry is { id, name, address, abi }:
+//   - address: the contract it belongs to, or null to use it for
+//     any contract with matching selectors
+//   - abi:     the JSON ABI array, exactly as pasted
+//
+// Persisted to localStorage — ABIs are small and rarely change.
+// ─────────────────────────────────────────────────────────────
+
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { ethers } from 'ethers'
+
+export const useAbiStore = create(persist((set, get) => ({
+
+  // ── STATE ────────────────────────────────────────────────────
+  abis: [],   // [{ id, name, address, abi }]
+
+
+  // ── importAbi() ──────────────────────────────────────────────
+  // Validates the pasted JSON (or a Hardhat/Foundry artifact with
+  // an "abi" field) and stores it. Throws with a readable message.
+  importAbi: (name, text, address) => {
+    let parsed
+    try {
+      parsed = JSON.parse(text)
+    } catch {
+      throw new Error('The ABI must be valid JSON.')
+    }
+
+    const abi = Array.isArray(parsed) ? parsed : parsed?.abi
+    if (!Array.isArray(abi)) throw new Error('Expected a JSON ABI array, or an artifact with an "abi" field.')
+
+    let iface
+    try {
+      iface = new ethers.Interface(abi)
+    } catch (err) {
+      throw new Error(`This ABI could not be parsed: ${err.shortMessage || err.message}`)
+    }
+    if (iface.fragments.every(f => f.type !== 'function'))
+      throw new Error('This ABI has no functions to decode.')
+
+    const contract = address?.trim() || null
+    if (contract && !ethers.isAddress(contract))
+      throw new Error('Invalid contract address. Leave it empty to use the ABI for any contract.')
+
+    const entry = {
+      id:      `${Date.now()}-${get().abis.length}`,
+      name:    name.trim() || 'Imported ABI',
+      address: contract ? ethers.getAddress(contract) : null,
+      abi,
+    }
+    set(state => ({ abis: [...state.abis, entry] }))
+  },
+
+
+  // ── removeAbi() ──────────────────────────────────────────────
+  removeAbi: (id) => {
+    set(state => ({ abis: state.abis.filter(a => a.id !== id) }))
+  },
+
+}), {
+  name: 'web3-wallet-abis',
+  partialize: (state) => ({ abis: state.abis }),
+}))
@@ -0,0 +1,148 @@
+// src/store/indexerStore.js
+// ─────────────────────────────────────────────────────────────
+// Saved results of the RPC indexer (lib/indexer.js), for chains
+// without a history backend (see getHistoryBackend() in lib/history.js).
+//
+// One index per chain + address:
+//   { firstBlock, lastBlock, entries }
+// syncIndex() scans from lastBlock + 1 to the chain head and
+// saves after every chunk, so a reload (or an address switch
+// halfway) picks up where it stopped instead of starting over.
+// Only the most recently requested index keeps scanning: asking
+// for another one (or calling stopSync()) stops the old scan at
+// the end of its current chunk.
+//
+// Indexes are saved in the IndexedDB history cache (source
+// 'rpc', see lib/history.js); `indexes` holds the ones loaded
+// so far. The live `progress` is not saved.
+// ─────────────────────────────────────────────────────────────
+
+import { create } from 'zustand'
+import { useWalletStore } from './walletStore'
+import { scanBlocks } from '../lib/indexer'
+import { cacheKey, cacheDelete } from '../lib/cache'
+import { mergeEntries, historySource, loadCachedHistory, saveCachedHistory } from '../lib/history'
+
+// How far back a NEW index starts. Scanning means one request
+// per block, so don't go back to genesis on a public chain.
+// A fresh anvil/hardhat node is shorter than this → fully indexed.
+export const LOOKBACK_BLOCKS = Number(import.meta.env.VITE_INDEXER_LOOKBACK_BLOCKS) || 5000
+
+// The newest blocks may still be reorganised — re-scan them each sync
+const REORG_DEPTH = 5
+
+// Syncs in flight, by index key — a second call joins the first
+const running = new Map()
+
+// Key of the index the app currently wants; other scans stop
+let activeKey = null
+
+export const useIndexerStore = create((set, get) => ({
+
+  // ── STATE ────────────────────────────────────────────────────
+  indexes:  {},   // key → { firstBlock, lastBlock, entries }
+  progress: {},   // key → { from, to, current } while a sync runs
+
+
+  // ── loadIndex() ──────────────────────────────────────────────
+  // The saved index for a chain + address, or null
+  loadIndex: async (chainId, address) => {
+    const key = cacheKey(chainId, address)
+    if (get().indexes[key]) return get().indexes[key]
+
+    const saved = await loadCachedHistory(chainId, address, historySource(null))
+    if (!saved) return null
+    const index = { firstBlock: saved.firstBlock, lastBlock: saved.lastBlock, entries: saved.entries }
+    set(state => ({ indexes: { ...state.indexes, [key]: index } }))
+    return index
+  },
+
+
+  // ── syncIndex() ──────────────────────────────────────────────
+  // Brings the index up to the chain head and returns its entries.
+  // Throws with a readable message if the node can't be reached.
+  syncIndex: (chainId, address) => {
+    const key = cacheKey(chainId, address)
+    activeKey = key
+    if (running.has(key)) return running.get(key)
+
+    const sync = (async () => {
+      const provider = useWalletStore.getState().getReadProvider(chainId)
+
+      let head
+      try {
+        head = await provider.getBlockNumber()
+      } catch {
+        throw new Error('Could not reach the RPC node to index transactions. Is it running?')
+      }
+
+      let index = await get().loadIndex(chainId, address)
+
+      // The head is BEHIND what we indexed → the chain was reset
+      // (e.g. anvil restarted). Nothing we have is valid any more.
+      if (index && head < index.lastBlock) index = null
+
+      // Re-scan the last few blocks — drop what we had for them
+      let fromBlock = Math.max(0, head - LOOKBACK_BLOCKS + 1)
+      if (index) {
+        fromBlock = Math.max(index.firstBlock, index.lastBlock - REORG_DEPTH + 1)
+        index = { ...index, entries: index.entries.filter(e => Number(e.blockNumber) < fromBlock) }
+      } else {
+        index = { firstBlock: fromBlock, lastBlock: fromBlock - 1, entries: [] }
+      }
+
+      const save = (next) => {
+        set(state => ({ indexes: { ...state.indexes, [key]: next } }))
+        return saveCachedHistory(chainId, address, historySource(null), next)
+      }
+      const setProgress = (value) => set(state => ({ progress: { ...state.progress, [key]: value } }))
+      await save(index)
+
+      try {
+        await scanBlocks(provider, address, {
+          fromBlock,
+          toBlock: head,
+          isCancelled: () => activeKey !== key,
+          onChunk: async (rows, lastBlock) => {
+            index = { ...index, lastBlock, entries: mergeEntries(index.entries, rows) }
+            setProgress({ from: fromBlock, to: head, current: lastBlock })
+            await save(index)
+          },
+        })
+      } catch (err) {
+        throw new Error(`Indexing stopped at block ${index.lastBlock + 1}: ${err.shortMessage || err.message}`)
+      } finally {
+        set(state => {
+          const { [key]: _done, ...progress } = state.progress
+          return { progress }
+        })
+      }
+
+      return index.entries
+    })()
+
+    running.set(key, sync)
+    sync.finally(() => running.delete(key)).catch(() => {})
+    return sync
+  },
+
+
+  // ── stopSync() ───────────────────────────────────────────────
+  // Stops whichever scan is running (at the end of its chunk) —
+  // e.g. when the history view moves to another address or chain.
+  // What was indexed so far is kept; the next sync resumes there.
+  stopSync: () => { activeKey = null },
+
+
+  // ── clearIndex() ─────────────────────────────────────────────
+  // Forgets one index — the next sync starts from scratch.
+  clearIndex: (chainId, address) => {
+    const key = cacheKey(chainId, address)
+    set(state => {
+      const { [key]: _removed, ...indexes } = state.indexes
+      return { indexes }
+    })
+    return cacheDelete('history', key)
+  },
+
+}))
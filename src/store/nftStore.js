@@ -0,0 +1,71 @@
+// src/store/nftStore.js
+// ─────────────────────────────────────────────────────────────
+// NFT collections the gallery shows, per chain, and the NFT the
+// user picked to send.
+//
+// Collections are added by contract address; the standard
+// (ERC-721 / ERC-1155) is detected once and remembered. Persisted
+// to localStorage.
+//
+// "Send" in the gallery hands the NFT to SendEth through
+// transferPick, so NFT transfers go through the same fee quote,
+// confirmation and speed up / cancel flow as any other send.
+// ─────────────────────────────────────────────────────────────
+
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { ethers } from 'ethers'
+import { useWalletStore } from './walletStore'
+import { detectCollection } from '../lib/nft'
+
+export const collectionsForChain = (collections, chainId) => collections.filter(c => c.chainId === chainId)
+
+export const useNftStore = create(persist((set, get) => ({
+
+  // ── STATE ────────────────────────────────────────────────────
+  collections:     [],    // [{ chainId, address, standard, name, symbol }]
+  transferPick:    null,  // { chainId, owner, collection, standard, id, balance, label } for SendEth
+  holdingsVersion: 0,     // bumped after an NFT transfer so the gallery reloads
+
+
+  // ── addCollection() ──────────────────────────────────────────
+  // Detects the standard over the read provider and saves the
+  // collection. Throws with a readable message (bad address,
+  // duplicate, not an NFT contract).
+  addCollection: async (chainId, address) => {
+    const value = address?.trim() ?? ''
+    if (!ethers.isAddress(value)) throw new Error('Invalid collection address. Must start with 0x and be 42 characters long.')
+
+    const checksummed = ethers.getAddress(value)
+    if (get().collections.some(c => c.chainId === chainId && c.address === checksummed))
+      throw new Error('This collection is already in your gallery.')
+
+    let detected
+    try {
+      detected = await detectCollection(useWalletStore.getState().getReadProvider(chainId), checksummed)
+    } catch (err) {
+      // ethers errors carry a code (RPC down…); ours are already readable
+      throw err.code ? new Error('Could not read this contract. Check the network and try again.') : err
+    }
+
+    const collection = { chainId, address: checksummed, ...detected, name: detected.name.slice(0, 60) }
+    set(state => ({ collections: [...state.collections, collection] }))
+    return collection
+  },
+
+
+  // ── removeCollection() ───────────────────────────────────────
+  removeCollection: (chainId, address) => set(state => ({
+    collections: state.collections.filter(c => !(c.chainId === chainId && c.address === address)),
+  })),
+
+
+  // ── Transfer hand-off to SendEth ─────────────────────────────
+  pickForTransfer:   (nft) => set({ transferPick: nft }),
+  clearTransferPick: () => set({ transferPick: null }),
+  holdingsChanged:   () => set(state => ({ holdingsVersion: state.holdingsVersion + 1 })),
+
+}), {
+  name: 'web3-wallet-nfts',
+  partialize: (state) => ({ collections: state.collections }),
+}))
@@ -0,0 +1,108 @@
+// src/store/tokenStore.js
+// ─────────────────────────────────────────────────────────────
+// The token watchlist — which ERC-20s the app shows, per chain.
+//
+// Every chain starts with its preset tokens from the registry
+// (config/chains.js). On top of that the user can:
+//   - add any token by contract address (metadata read on-chain)
+//   - import a token list JSON (lib/tokenList.js)
+//   - remove tokens, presets included
+//
+// Persisted to localStorage. Use tokensForChain() (or the
+// useWatchedTokens hook) to get the list for one chain.
+// ─────────────────────────────────────────────────────────────
+
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { ethers } from 'ethers'
+import { getChain } from '../config/chains'
+import { getTokenMeta } from '../lib/tokenMeta'
+import { normalizeToken, parseTokenList } from '../lib/tokenList'
+
+// Helper: "chainId:address" — identifies a token across chains
+const tokenKey = (chainId, address) => `${chainId}:${address.toLowerCase()}`
+
+// ── tokensForChain() ──────────────────────────────────────────
+// Presets the user hasn't removed, then the user's own tokens.
+export const tokensForChain = (tokens, hiddenPresets, chainId) => {
+  const own     = tokens.filter(t => t.chainId === chainId)
+  const presets = getChain(chainId).tokens
+    .filter(p => !hiddenPresets.includes(tokenKey(chainId, p.address)))
+    .filter(p => !own.some(t => t.address.toLowerCase() === p.address.toLowerCase()))
+    .map(p => ({ chainId, logoURI: null, ...p, preset: true }))
+  return [...presets, ...own]
+}
+
+export const useTokenStore = create(persist((set, get) => ({
+
+  // ── STATE ────────────────────────────────────────────────────
+  tokens:        [],   // [{ chainId, address, symbol, name, decimals, logoURI }]
+  hiddenPresets: [],   // ["chainId:address"] presets the user removed
+
+
+  // ── addToken() ───────────────────────────────────────────────
+  // Reads symbol/decimals/name from the contract and watches it.
+  // Throws with a readable message (bad address, duplicate, not
+  // an ERC-20) — the component shows it.
+  addToken: async (chainId, address) => {
+    const value = address?.trim() ?? ''
+    if (!ethers.isAddress(value)) throw new Error('Invalid token address. Must start with 0x and be 42 characters long.')
+
+    const checksummed = ethers.getAddress(value)
+    const watched = tokensForChain(get().tokens, get().hiddenPresets, chainId)
+    if (watched.some(t => t.address === checksummed)) throw new Error('This token is already on your watchlist.')
+
+    let meta
+    try {
+      meta = await getTokenMeta(chainId, checksummed)
+    } catch {
+      throw new Error('Could not read symbol/decimals — this address may not be an ERC-20 token on this network.')
+    }
+
+    const token = normalizeToken({ chainId, address: checksummed, symbol: meta.symbol || '???', name: meta.name.slice(0, 60), decimals: meta.decimals })
+    set(state => ({
+      tokens:        [...state.tokens, token],
+      hiddenPresets: state.hiddenPresets.filter(k => k !== tokenKey(chainId, checksummed)),
+    }))
+    return token
+  },
+
+
+  // ── importTokenList() ────────────────────────────────────────
+  // Adds every token of a token list (all chains) that isn't
+  // watched yet. Returns { name, added }. Throws if the list is
+  // invalid — nothing is imported then.
+  importTokenList: (text) => {
+    const { name, tokens } = parseTokenList(text)
+    // Skip tokens we already watch, and repeats within the list
+    const seen  = new Set(get().tokens.map(t => tokenKey(t.chainId, t.address)))
+    const fresh = tokens.filter(token => {
+      const key = tokenKey(token.chainId, token.address)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    const freshKeys = new Set(fresh.map(t => tokenKey(t.chainId, t.address)))
+
+    set(state => ({
+      tokens:        [...state.tokens, ...fresh],
+      hiddenPresets: state.hiddenPresets.filter(k => !freshKeys.has(k)),
+    }))
+    return { name, added: fresh.length }
+  },
+
+
+  // ── removeToken() ────────────────────────────────────────────
+  // Works for presets too — they're remembered as hidden.
+  removeToken: (chainId, address) => {
+    const isPreset = getChain(chainId).tokens.some(p => p.address.toLowerCase() === address.toLowerCase())
+    set(state => ({
+      tokens:        state.tokens.filter(t => !(t.chainId === chainId && t.address === address)),
+      hiddenPresets: isPreset ? [...new Set([...state.hiddenPresets, tokenKey(chainId, address)])] : state.hiddenPresets,
+    }))
+  },
+
+}), {
+  name: 'web3-wallet-tokens',
+  partialize: (state) => ({ tokens: state.tokens, hiddenPresets: state.hiddenPresets }),
+}))
@@ -0,0 +1,262 @@
+// src/store/txStore.js
+// ─────────────────────────────────────────────────────────────
+// Pending transaction tracker (Zustand).
+//
+// Every transaction the app submits is recorded here, keyed by
+// hash and grouped by NONCE. The nonce is what makes "speed up"
+// and "cancel" possible: a wallet can only ever mine ONE
+// transaction per nonce, so sending a new one with the same
+// nonce and higher fees replaces the stuck one.
+//
+//   speed up → same nonce, same to/value/data, higher fees
+//   cancel   → same nonce, 0-value send to yourself, higher fees
+//
+// Records only hold strings/numbers (no bigints), so the list is
+// persisted to localStorage. After a reload, resumePending()
+// picks every still-pending entry back up and polls for it.
+// ─────────────────────────────────────────────────────────────
+
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { useWalletStore } from './walletStore'
+import { bumpFees, fetchFeeSuggestions } from '../lib/fees'
+
+// The live ethers TransactionResponse for each hash we sent.
+// wait() on these is what detects replacements.
+const responses = new Map()
+
+// Helper: optional bigint field → string (or null)
+const str = (value) => (value == null ? null : value.toString())
+// Helper: optional string → bigint (or null)
+const big = (value) => (value == null ? null : BigInt(value))
+
+const POLL_INTERVAL_MS = 6000             // how often resumed entries are checked
+const DROP_AFTER_MS    = 30 * 60 * 1000   // unknown to the node this long → dropped
+const MAX_RECORDS      = 50               // finished entries beyond this are forgotten (pending ones never)
+
+let pollTimer = null
+
+// ── capRecords() ──────────────────────────────────────────────
+// Trims the list (newest first) to MAX_RECORDS by forgetting the
+// OLDEST finished entries. Pending ones always stay — they still
+// need speed up / cancel, and resumePending() after a reload.
+const capRecords = (records) => {
+  let excess = records.length - MAX_RECORDS
+  if (excess <= 0) return records
+
+  const kept = []
+  for (let i = records.length - 1; i >= 0; i--) {
+    if (excess > 0 && records[i].status !== 'pending') { excess--; continue }
+    kept.unshift(records[i])
+  }
+  return kept
+}
+
+// ── checkTx() ─────────────────────────────────────────────────
+// One look at the chain for a transaction we no longer hold a
+// live TransactionResponse for (i.e. sent before a reload).
+// Returns the fields to update, or null if it's still pending.
+const checkTx = async (record, siblings) => {
+  const provider = useWalletStore.getState().getReadProvider(record.chainId)
+
+  // 1. Mined? Then we know exactly how it went
+  const receipt = await provider.getTransactionReceipt(record.hash)
+  if (receipt) return { status: receipt.status === 1 ? 'confirmed' : 'failed' }
+
+  // 2. Nonce already used → a DIFFERENT transaction took its place.
+  //    If that was one of our own speed up / cancel sends, say which.
+  const minedNonce = await provider.getTransactionCount(record.from, 'latest')
+  if (minedNonce > record.nonce) {
+    for (const sibling of siblings) {
+      const siblingReceipt = await provider.getTransactionReceipt(sibling.hash)
+      if (siblingReceipt) {
+        const status = sibling.kind === 'cancel' ? 'cancelled' : sibling.kind === 'speedup' ? 'repriced' : 'replaced'
+        return { status, replacedBy: sibling.hash }
+      }
+    }
+    return { status: 'replaced' }
+  }
+
+  // 3. Nonce still free and the node has forgotten the transaction
+  //    → it fell out of the mempool
+  const known = await provider.getTransaction(record.hash)
+  if (!known && Date.now() - record.submittedAt > DROP_AFTER_MS) return { status: 'dropped' }
+
+  return null
+}
+
+// ── toRecord() ────────────────────────────────────────────────
+// TransactionResponse → the plain object we keep in the store
+const toRecord = (tx, { kind, description, replaces }) => ({
+  hash:                 tx.hash,
+  nonce:                tx.nonce,
+  chainId:              Number(tx.chainId),
+  from:                 tx.from,
+  to:                   tx.to,
+  value:                tx.value.toString(),
+  data:                 tx.data,
+  gasLimit:             tx.gasLimit.toString(),
+  maxFeePerGas:         str(tx.maxFeePerGas),
+  maxPriorityFeePerGas: str(tx.maxPriorityFeePerGas),
+  gasPrice:             tx.maxFeePerGas == null ? str(tx.gasPrice) : null,
+  kind,                          // 'send' | 'speedup' | 'cancel'
+  description,                   // e.g. "Send 0.1 ETH"
+  replaces:   replaces ?? null,  // hash this one replaced (speed up / cancel)
+  replacedBy: null,              // hash that replaced this one
+  status:     'pending',         // 'pending' | 'confirmed' | 'failed' | 'repriced' | 'cancelled' | 'replaced' | 'dropped'
+  submittedAt: Date.now(),
+})
+
+export const useTxStore = create(persist((set, get) => ({
+
+  // ── STATE ────────────────────────────────────────────────────
+  pending: [],   // Tracked transactions, newest first
+
+
+  // ── trackTx() ────────────────────────────────────────────────
+  // Call right after the wallet returns a TransactionResponse.
+  // meta: { kind, description, replaces }
+  trackTx: (tx, meta = {}) => {
+    responses.set(tx.hash, tx)
+    const record = toRecord(tx, { kind: 'send', description: '', ...meta })
+    set(state => ({
+      pending: capRecords([record, ...state.pending.filter(p => p.hash !== tx.hash)]),
+    }))
+    get().watchTx(tx.hash)
+  },
+
+
+  // ── resumePending() ──────────────────────────────────────────
+  // Called once at startup (main.jsx), and by watchTx() when it
+  // loses track of a transaction. Entries still 'pending' without
+  // a live response are polled on the chain instead (see checkTx()).
+  resumePending: () => {
+    if (pollTimer) return
+
+    const poll = async () => {
+      const orphans = get().pending.filter(p => p.status === 'pending' && !responses.has(p.hash))
+
+      for (const record of orphans) {
+        const siblings = get().pending.filter(p =>
+          p.hash !== record.hash && p.chainId === record.chainId &&
+          p.from === record.from && p.nonce === record.nonce
+        )
+        try {
+          const update = await checkTx(record, siblings)
+          if (update) {
+            get().updateTx(record.hash, update)
+            useWalletStore.getState().refreshBalance()
+          }
+        } catch {
+          // RPC hiccup — try again next round
+        }
+      }
+
+      // Keep polling only while something is still unresolved
+      const stillPending = get().pending.some(p => p.status === 'pending' && !responses.has(p.hash))
+      pollTimer = stillPending ? setTimeout(poll, POLL_INTERVAL_MS) : null
+    }
+
+    pollTimer = setTimeout(poll, 0)
+  },
+
+
+  // ── watchTx() ────────────────────────────────────────────────
+  // Waits for the transaction and records how it ended.
+  // When the nonce gets used by ANOTHER transaction, ethers'
+  // wait() throws TRANSACTION_REPLACED with a reason:
+  //   'repriced'  → same call with new fees (a speed up)
+  //   'cancelled' → 0-value self-send (a cancel)
+  //   'replaced'  → something else entirely
+  watchTx: async (hash) => {
+    const tx = responses.get(hash)
+    if (!tx) return
+
+    let settled = true
+    try {
+      await tx.wait()
+      get().updateTx(hash, { status: 'confirmed' })
+    } catch (err) {
+      if (err.code === 'TRANSACTION_REPLACED') {
+        get().updateTx(hash, { status: err.reason, replacedBy: err.replacement?.hash ?? null })
+      } else if (err.code === 'CALL_EXCEPTION') {
+        // Mined, but the transaction reverted
+        get().updateTx(hash, { status: 'failed' })
+      } else {
+        // Anything else (RPC hiccup) — still pending, as far as we know
+        settled = false
+      }
+    } finally {
+      responses.delete(hash)
+      useWalletStore.getState().refreshBalance()
+    }
+
+    // Without its live response the entry is an orphan — hand it
+    // to the poller, which retries every POLL_INTERVAL_MS
+    if (!settled) get().resumePending()
+  },
+
+
+  // ── updateTx() ───────────────────────────────────────────────
+  updateTx: (hash, fields) => {
+    set(state => ({
+      pending: state.pending.map(p => (p.hash === hash ? { ...p, ...fields } : p)),
+    }))
+  },
+
+
+  // ── speedUp() / cancel() ─────────────────────────────────────
+  // Both send a replacement with the same nonce and bumped fees.
+  // They throw on failure (e.g. user rejected) so the component
+  // can show the error. Returns the replacement TransactionResponse.
+  speedUp: (hash) => get()._replace(hash, 'speedup'),
+  cancel:  (hash) => get()._replace(hash, 'cancel'),
+
+  _replace: async (hash, kind) => {
+    const original = get().pending.find(p => p.hash === hash)
+    if (!original || original.status !== 'pending')
+      throw new Error('This transaction is no longer pending.')
+
+    const { chainId } = useWalletStore.getState()
+    if (chainId !== original.chainId)
+      throw new Error('Switch your wallet back to the network this transaction was sent on.')
+
+    const provider = useWalletStore.getState().getBrowserProvider()
+    const signer   = await provider.getSigner(original.from)
+
+    // Today's fees, so a replacement is never slower than "fast"
+    const suggestions = await fetchFeeSuggestions(provider).catch(() => null)
+    const fees = bumpFees({
+      maxFeePerGas:         big(original.maxFeePerGas),
+      maxPriorityFeePerGas: big(original.maxPriorityFeePerGas),
+      gasPrice:             big(original.gasPrice),
+    }, suggestions)
+
+    const request = kind === 'cancel'
+      ? { to: original.from, value: 0n, data: '0x', gasLimit: 21000n }
+      : { to: original.to, value: BigInt(original.value), data: original.data, gasLimit: BigInt(original.gasLimit) }
+
+    const tx = await signer.sendTransaction({ ...request, nonce: original.nonce, ...fees })
+
+    get().trackTx(tx, {
+      kind,
+      description: kind === 'cancel' ? `Cancel nonce ${original.nonce}` : original.description,
+      replaces:    hash,
+    })
+    return tx
+  },
+
+
+  // ── dismissTx() ──────────────────────────────────────────────
+  // Removes a finished entry from the list
+  dismissTx: (hash) => {
+    set(state => ({ pending: state.pending.filter(p => p.hash !== hash) }))
+  },
+
+}), {
+  // ── Persistence ──────────────────────────────────────────────
+  // The whole queue survives reloads, so nothing vanishes
+  // mid-MINING. Live responses are rebuilt by resumePending().
+  name: 'web3-wallet-pending-txs',
+  partialize: (state) => ({ pending: state.pending }),
+}))
@@ -10,32 +10,96 @@
 //   create((set, get) => ({ ... }))
 //   - set()  → updates the store state
 //   - get()  → reads the current store state from inside the store
+//
+// The persist() middleware saves the fields listed in
+// `partialize` to localStorage, so they survive a page reload.
 // ─────────────────────────────────────────────────────────────
 
 import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
 import { ethers } from 'ethers'
+import { DEFAULT_CHAIN_ID, getChain, getNetworkName, getRpcUrls, toAddChainParams } from '../config/chains'
+import { useTxStore } from './txStore'
+import { normalizeContact, isSameContact, parseAddressBook, serializeAddressBook } from '../lib/addressBook'
+
+// ── formatNative() ────────────────────────────────────────────
+// Converts a raw balance into the chain's native currency using
+// its decimals from the chain registry, e.g. "0.0500"
+const formatNative = (rawBalance, chainId) => {
+  const { decimals } = getChain(chainId).nativeCurrency
+  return parseFloat(ethers.formatUnits(rawBalance, decimals)).toFixed(4)
+}
+
+// ── isUnknownChainError() ─────────────────────────────────────
+// Error 4902 = "the wallet doesn't know this chain yet".
+// Some wallets (MetaMask mobile) nest it inside data.originalError.
+const isUnknownChainError = (err) =>
+  err?.code === 4902 || err?.data?.originalError?.code === 4902
 
-// A helper map so we show readable names instead of raw chain IDs
-const NETWORK_NAMES = {
-  1:        'Ethereum Mainnet',
-  11155111: 'Sepolia Testnet',
-  137:      'Polygon',
-  80001:    'Mumbai Testnet',
+// ── Read providers ────────────────────────────────────────────
+// One read-only provider per chain, built from the chain's RPC
+// URLs — completely separate from the injected wallet.
+// The wallet is only needed to SIGN; everything else reads here.
+//
+//   - batchMaxCount  → calls made in the same tick are sent as one
+//                      JSON-RPC batch request
+//   - FallbackProvider with quorum 1 → ask the first endpoint, and
+//                      fail over to the next if it errors or stalls
+const readProviders = {}
+
+const createReadProvider = (chainId) => {
+  const urls = getRpcUrls(chainId)
+  if (urls.length === 0) return null
+
+  // staticNetwork: skip the eth_chainId round-trip on every request
+  const network   = ethers.Network.from(chainId)
+  const providers = urls.map(url => new ethers.JsonRpcProvider(url, network, {
+    staticNetwork:  network,
+    batchMaxCount:  20,
+    batchStallTime: 10,
+  }))
+
+  if (providers.length === 1) return providers[0]
+
+  return new ethers.FallbackProvider(
+    providers.map((provider, i) => ({ provider, priority: i + 1, weight: 1, stallTimeout: 1500 })),
+    network,
+    { quorum: 1 },
+  )
 }
 
 // ── The store ──────────────────────────────────────────────────
-export const useWalletStore = create((set, get) => ({
+export const useWalletStore = create(persist((set, get) => ({
 
   // ── STATE ────────────────────────────────────────────────────
   // These are the values any component can read
 
   address:   null,   // Full wallet address e.g. "0x1234...abcd"
-  balance:   null,   // ETH balance as a string e.g. "0.0500"
+  balance:   null,   // Native balance as a string e.g. "0.0500"
+  rawBalance: null,  // Exact native balance in wei (bigint) — for fee maths
   network:   null,   // Human readable network name e.g. "Sepolia Testnet"
   chainId:   null,   // Raw chain ID number e.g. 11155111
-  status:    'idle', // 'idle' | 'connecting' | 'connected' | 'error'
+  status:    'idle', // 'idle' | 'restoring' | 'connecting' | 'connected' | 'error'
   error:     null,   // Error message string or null
 
+  switchingChain: false, // true while the wallet's "switch network" popup is open
+  networkError:   null,  // Error message from switchChain() / addChain() or null
+
+  // EIP-6963 wallet discovery
+  wallets:    [],   // Announced wallets: [{ info: { uuid, name, icon, rdns }, provider }]
+  walletRdns: null, // rdns of the chosen wallet e.g. "io.metamask" (persisted)
+
+  // true after the user clicks "Disconnect" (persisted) —
+  // stops restoreSession() from silently reconnecting them
+  userDisconnected: false,
+
+  // Watch-only addresses — never sign from this browser, just watched
+  watchlist:   [],   // [{ address, label }] (persisted)
+  viewAddress: null, // Address TxHistory/TokenChecker show; null = the connected wallet
+
+  // Address book — labelled contacts shown across the app
+  addressBook: [],   // [{ address, label, chainId, notes }] (persisted) — see lib/addressBook.js
+
 
   // ── DERIVED (computed from state) ────────────────────────────
   // shortAddress is not stored — we just compute it when needed.
@@ -47,62 +111,106 @@ export const useWalletStore = create((set, get) => ({
     return `${address.slice(0, 6)}...${address.slice(-4)}`
   },
 
+  // ── getEthereum() ────────────────────────────────────────────
+  // The EIP-1193 provider of the wallet the user picked.
+  // Falls back to window.ethereum for wallets that don't
+  // support EIP-6963 yet. Use this instead of window.ethereum.
+  getEthereum: () => {
+    const { wallets, walletRdns } = get()
+    const chosen = wallets.find(w => w.info.rdns === walletRdns)
+    return chosen?.provider || window.ethereum || null
+  },
+
+  // ── getBrowserProvider() ─────────────────────────────────────
+  // An ethers BrowserProvider wrapping the chosen wallet.
+  // Use it for SIGNING only — reads go through getReadProvider().
+  getBrowserProvider: () => {
+    const ethereum = get().getEthereum()
+    if (!ethereum) throw new Error('No wallet found. Install a browser wallet such as MetaMask.')
+    return new ethers.BrowserProvider(ethereum)
+  },
+
+  // ── getReadProvider() ────────────────────────────────────────
+  // Read-only provider for a chain (defaults to the wallet's chain,
+  // or DEFAULT_CHAIN_ID when no wallet is connected).
+  // Works with no wallet installed at all. Chains we have no RPC
+  // URLs for can only be read through the wallet, and only while
+  // it is ON that chain — otherwise this throws, rather than
+  // quietly answering from whatever network the wallet is on.
+  getReadProvider: (chainId) => {
+    const id = Number(chainId ?? get().chainId ?? DEFAULT_CHAIN_ID)
+    if (!(id in readProviders)) readProviders[id] = createReadProvider(id)
+    if (readProviders[id]) return readProviders[id]
+
+    const { status, chainId: walletChainId } = get()
+    if (status === 'connected' && walletChainId === id) return get().getBrowserProvider()
+    throw new Error(`No RPC endpoint is configured for ${getNetworkName(id)}. Set VITE_RPC_URLS_${id} in .env, or switch your wallet to this network.`)
+  },
+
 
   // ── ACTIONS ──────────────────────────────────────────────────
   // These are the functions components call to trigger changes
 
-  // ── connect() ────────────────────────────────────────────────
-  // Called when user clicks "Connect MetaMask"
-  connect: async () => {
+  // ── startWalletDiscovery() ───────────────────────────────────
+  // EIP-6963: instead of every extension fighting over
+  // window.ethereum, each wallet announces itself with an
+  // "eip6963:announceProvider" event carrying its name, icon
+  // and its own provider object. We collect them in `wallets`.
+  startWalletDiscovery: () => {
+    if (get()._discovering) return
+    get()._discovering = true
+
+    const onAnnounce = (event) => {
+      const { info, provider } = event.detail
+      // Wallets may announce more than once — keep one entry per uuid
+      set(state => ({
+        wallets: [...state.wallets.filter(w => w.info.uuid !== info.uuid), { info, provider }],
+      }))
+    }
+
+    window.addEventListener('eip6963:announceProvider', onAnnounce)
 
-    // 1. Check MetaMask is installed
-    //    window.ethereum is injected by MetaMask into the browser
-    if (!window.ethereum) {
-      set({ error: 'MetaMask not found. Install it at metamask.io', status: 'error' })
+    // Ask wallets that loaded before us to announce again
+    window.dispatchEvent(new Event('eip6963:requestProvider'))
+  },
+
+
+  // ── connect() ────────────────────────────────────────────────
+  // Called when user clicks a wallet in the chooser.
+  // rdns: which announced wallet to use e.g. "io.metamask".
+  //       Omit it to reuse the remembered wallet (or window.ethereum).
+  connect: async (rdns) => {
+
+    // 1. Remember which wallet the user picked
+    //    walletRdns is persisted, so the same wallet is used next visit
+    if (rdns) set({ walletRdns: rdns })
+
+    // 2. Check a wallet is installed
+    const ethereum = get().getEthereum()
+    if (!ethereum) {
+      set({ error: 'No wallet found. Install MetaMask at metamask.io', status: 'error' })
       return
     }
 
-    // 2. Set status to 'connecting' so the button shows a spinner
+    // 3. Set status to 'connecting' so the button shows a spinner
     set({ status: 'connecting', error: null })
 
     try {
-      // 3. Create a Provider
+      // 4. Create a Provider
       //    A Provider is our READ-ONLY connection to the blockchain.
-      //    BrowserProvider wraps MetaMask specifically.
-      const provider = new ethers.BrowserProvider(window.ethereum)
+      //    BrowserProvider wraps the chosen wallet's EIP-1193 provider.
+      const provider = new ethers.BrowserProvider(ethereum)
 
-      // 4. Request account access
+      // 5. Request account access
       //    This line triggers the MetaMask popup asking user to connect.
       //    It returns an array of account addresses the user approved.
       await provider.send('eth_requestAccounts', [])
 
-      // 5. Get the Signer
-      //    A Signer is a Provider that CAN sign transactions.
-      //    Think: Provider = read, Signer = read + write
-      const signer = await provider.getSigner()
+      // 6. Read address, network and balance into the store
+      await get()._loadSession(provider)
 
-      // 6. Get wallet address from the signer
-      const address = await signer.getAddress()
-
-      // 7. Get ETH balance
-      //    getBalance() returns the balance in WEI (the smallest unit).
-      //    1 ETH = 1,000,000,000,000,000,000 Wei
-      //    formatEther() converts Wei → ETH as a readable string
-      const rawBalance = await provider.getBalance(address)
-      const balance = parseFloat(ethers.formatEther(rawBalance)).toFixed(4)
-
-      // 8. Get network info
-      const networkInfo = await provider.getNetwork()
-      const chainId = Number(networkInfo.chainId)
-      const network = NETWORK_NAMES[chainId] || `Chain ID: ${chainId}`
-
-      // 9. Update the store with everything we fetched
-      set({ address, balance, network, chainId, status: 'connected' })
-
-      // 10. Start listening for MetaMask events
-      //     This is what makes the UI "live" — it auto-updates
-      //     when the user changes account or network in MetaMask
-      get().startListeners()
+      // 7. The user connected on purpose — allow auto-reconnect again
+      set({ userDisconnected: false })
 
     } catch (err) {
       // Code 4001 = user clicked "Reject" in MetaMask popup
@@ -115,10 +223,86 @@ export const useWalletStore = create((set, get) => ({
   },
 
 
+  // ── restoreSession() ─────────────────────────────────────────
+  // Called once at startup. If the site is still authorized in
+  // the wallet, we reconnect WITHOUT a popup:
+  //   eth_accounts         → returns already-approved accounts, silently
+  //   eth_requestAccounts  → opens the popup (what connect() uses)
+  // Skipped when the user clicked "Disconnect" last time.
+  restoreSession: async () => {
+    if (get().userDisconnected) return
+
+    set({ status: 'restoring' })
+
+    // Give EIP-6963 wallets a moment to announce themselves,
+    // so we reconnect to the wallet the user picked last time
+    await new Promise(resolve => setTimeout(resolve, 150))
+
+    const ethereum = get().getEthereum()
+    if (!ethereum) { set({ status: 'idle' }); return }
+
+    try {
+      const provider = new ethers.BrowserProvider(ethereum)
+      const accounts = await provider.send('eth_accounts', [])
+
+      // Not authorized any more — show the normal connect screen
+      if (accounts.length === 0) { set({ status: 'idle' }); return }
+
+      await get()._loadSession(provider)
+    } catch {
+      // silently fail — the user can still connect manually
+      set({ status: 'idle' })
+    }
+  },
+
+
+  // ── _loadSession() ───────────────────────────────────────────
+  // Shared by connect() and restoreSession(): reads everything
+  // from an already-authorized provider into the store.
+  _loadSession: async (provider) => {
+    // 1. Get the Signer
+    //    A Signer is a Provider that CAN sign transactions.
+    //    Think: Provider = read, Signer = read + write
+    const signer = await provider.getSigner()
+
+    // 2. Get wallet address from the signer
+    const address = await signer.getAddress()
+
+    // 3. Get network info
+    //    The chain registry turns the raw id into a readable name
+    const networkInfo = await provider.getNetwork()
+    const chainId = Number(networkInfo.chainId)
+    const network = getNetworkName(chainId)
+
+    // 4. Get native balance (through the read provider, not the wallet)
+    //    getBalance() returns the balance in WEI (the smallest unit).
+    //    1 ETH = 1,000,000,000,000,000,000 Wei
+    //    formatNative() converts it using the chain's decimals.
+    //    If the public RPCs are down (or the chain has none), ask the
+    //    wallet instead — it is on this chain by definition.
+    let rawBalance
+    try {
+      rawBalance = await get().getReadProvider(chainId).getBalance(address)
+    } catch {
+      rawBalance = await provider.getBalance(address)
+    }
+    const balance = formatNative(rawBalance, chainId)
+
+    // 5. Update the store with everything we fetched
+    set({ address, balance, rawBalance, network, chainId, status: 'connected' })
+
+    // 6. Start listening for wallet events
+    //    This is what makes the UI "live" — it auto-updates
+    //    when the user changes account or network in MetaMask
+    get().startListeners()
+  },
+
+
   // ── disconnect() ─────────────────────────────────────────────
   // Resets everything back to the initial idle state.
   // Note: MetaMask doesn't have a true "disconnect" API,
-  // so we just clear our own store state.
+  // so we just clear our own store state — and remember that the
+  // user disconnected, so restoreSession() doesn't undo it on reload.
   disconnect: () => {
     // Remove the event listeners we added in startListeners()
     get().stopListeners()
@@ -126,26 +310,76 @@ export const useWalletStore = create((set, get) => ({
     set({
       address: null,
       balance: null,
+      rawBalance: null,
       network: null,
       chainId: null,
       status:  'idle',
       error:   null,
+      networkError: null,
+      userDisconnected: true,
     })
   },
 
 
+  // ── switchChain() ────────────────────────────────────────────
+  // Asks the wallet to move to another network.
+  // We don't update chainId here — the wallet fires "chainChanged"
+  // once it has switched, and our listener picks that up.
+  switchChain: async (targetChainId) => {
+    const ethereum = get().getEthereum()
+    if (!ethereum) return
+
+    set({ switchingChain: true, networkError: null })
+
+    try {
+      await ethereum.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: toAddChainParams(targetChainId).chainId }],
+      })
+    } catch (err) {
+      if (isUnknownChainError(err)) {
+        // The wallet has never seen this chain — add it first.
+        // Adding a chain also switches to it in MetaMask.
+        await get().addChain(targetChainId)
+      } else if (err.code !== 4001) {
+        // 4001 = user clicked "Cancel" — not worth an error message
+        set({ networkError: err.message || 'Could not switch network.' })
+      }
+    } finally {
+      set({ switchingChain: false })
+    }
+  },
+
+
+  // ── addChain() ───────────────────────────────────────────────
+  // Registers a chain from our registry with the wallet
+  // (EIP-3085 wallet_addEthereumChain).
+  addChain: async (targetChainId) => {
+    try {
+      await get().getEthereum().request({
+        method: 'wallet_addEthereumChain',
+        params: [toAddChainParams(targetChainId)],
+      })
+    } catch (err) {
+      if (err.code !== 4001) {
+        set({ networkError: err.message || 'Could not add network to wallet.' })
+      }
+    }
+  },
+
+
   // ── refreshBalance() ─────────────────────────────────────────
   // Fetches the latest balance for the current address.
   // Called automatically when accounts or network change.
   refreshBalance: async () => {
-    const { address } = get()
+    const { address, chainId } = get()
     if (!address) return
 
     try {
-      const provider = new ethers.BrowserProvider(window.ethereum)
+      const provider = get().getReadProvider(chainId)
       const rawBalance = await provider.getBalance(address)
-      const balance = parseFloat(ethers.formatEther(rawBalance)).toFixed(4)
-      set({ balance })
+      const balance = formatNative(rawBalance, chainId)
+      set({ balance, rawBalance })
     } catch {
       // silently fail — balance just won't update
     }
@@ -153,9 +387,13 @@ export const useWalletStore = create((set, get) => ({
 
 
   // ── startListeners() ─────────────────────────────────────────
-  // Attaches event listeners to MetaMask (window.ethereum).
-  // MetaMask fires these events automatically when things change.
+  // Attaches event listeners to the chosen wallet's provider.
+  // The wallet fires these events automatically when things change.
   startListeners: () => {
+    // Never stack listeners — e.g. when reconnecting with another wallet
+    get().stopListeners()
+
+    const ethereum = get().getEthereum()
 
     // EVENT 1: accountsChanged
     // Fires when the user switches accounts in MetaMask.
@@ -177,51 +415,142 @@ export const useWalletStore = create((set, get) => ({
     // MetaMask passes the new chainId as a HEX string e.g. "0xaa36a7"
     const onChainChanged = (hexChainId) => {
       const chainId = parseInt(hexChainId, 16) // convert hex → number
-      const network = NETWORK_NAMES[chainId] || `Chain ID: ${chainId}`
-      set({ chainId, network })
+      const network = getNetworkName(chainId)
+      set({ chainId, network, networkError: null })
       get().refreshBalance()
     }
 
-    // Register the listeners on window.ethereum
-    window.ethereum.on('accountsChanged', onAccountsChanged)
-    window.ethereum.on('chainChanged',    onChainChanged)
+    // Register the listeners on the wallet's provider
+    ethereum.on('accountsChanged', onAccountsChanged)
+    ethereum.on('chainChanged',    onChainChanged)
 
     // Store references so we can remove them later in stopListeners()
-    // We attach them to the store object directly (not to state)
-    get()._listeners = { onAccountsChanged, onChainChanged }
+    // We attach them to the store object directly (not to state).
+    // We keep the provider too — the user may pick another wallet later.
+    get()._listeners = { ethereum, onAccountsChanged, onChainChanged }
   },
 
 
   // ── stopListeners() ──────────────────────────────────────────
-  // Removes the MetaMask event listeners.
+  // Removes the wallet event listeners.
   // Important: always clean up listeners to avoid memory leaks.
   stopListeners: () => {
     const listeners = get()._listeners
     if (!listeners) return
 
-    window.ethereum.removeListener('accountsChanged', listeners.onAccountsChanged)
-    window.ethereum.removeListener('chainChanged',    listeners.onChainChanged)
+    listeners.ethereum.removeListener('accountsChanged', listeners.onAccountsChanged)
+    listeners.ethereum.removeListener('chainChanged',    listeners.onChainChanged)
     get()._listeners = null
   },
 
 
   // Internal — not used by components
-  _listeners: null,
+  _listeners:   null,
+  _discovering: false,
+
+  // ── addWatchAddress() ────────────────────────────────────────
+  // Adds a watch-only address with a label e.g. "Treasury".
+  // Throws on an invalid or duplicate address — the component
+  // catches it and shows the message.
+  addWatchAddress: (address, label) => {
+    if (!ethers.isAddress(address)) throw new Error('Invalid address. Must start with 0x and be 42 characters long.')
+
+    // getAddress() returns the checksummed form, so duplicates match
+    const checksummed = ethers.getAddress(address)
+    if (get().watchlist.some(w => w.address === checksummed))
+      throw new Error('This address is already being watched.')
+
+    const entry = {
+      address: checksummed,
+      label:   label?.trim() || `${checksummed.slice(0, 6)}...${checksummed.slice(-4)}`,
+    }
+    set(state => ({ watchlist: [...state.watchlist, entry] }))
+  },
+
+
+  // ── removeWatchAddress() ─────────────────────────────────────
+  removeWatchAddress: (address) => {
+    set(state => ({
+      watchlist:   state.watchlist.filter(w => w.address !== address),
+      // Stop viewing it if it was selected
+      viewAddress: state.viewAddress === address ? null : state.viewAddress,
+    }))
+  },
+
+
+  // ── setViewAddress() ─────────────────────────────────────────
+  // Points TxHistory and TokenChecker at another address.
+  // Pass null to go back to the connected wallet.
+  setViewAddress: (address) => set({ viewAddress: address }),
+
+
+  // ── Address book ─────────────────────────────────────────────
+  // addContact() / updateContact() throw on invalid input or a
+  // duplicate, like addWatchAddress(). chainId null = every chain.
+  addContact: (contact) => {
+    const entry = normalizeContact(contact)
+    if (get().addressBook.some(c => isSameContact(c, entry)))
+      throw new Error(`${entry.address.slice(0, 6)}...${entry.address.slice(-4)} is already in your address book.`)
+    set(state => ({ addressBook: [...state.addressBook, entry] }))
+  },
+
+  // Replaces the contact `original` ({ address, chainId }) with new fields
+  updateContact: (original, fields) => {
+    const entry = normalizeContact({ ...original, ...fields })
+    if (get().addressBook.some(c => !isSameContact(c, original) && isSameContact(c, entry)))
+      throw new Error('Another contact already uses this address on that chain.')
+    set(state => ({
+      addressBook: state.addressBook.map(c => (isSameContact(c, original) ? entry : c)),
+    }))
+  },
+
+  removeContact: (contact) => {
+    set(state => ({ addressBook: state.addressBook.filter(c => !isSameContact(c, contact)) }))
+  },
+
+  // ── importAddressBook() ──────────────────────────────────────
+  // Merges contacts from exported JSON text. Existing contacts
+  // get the imported label/notes. Returns how many were new.
+  // Throws (nothing imported) if any entry is invalid.
+  importAddressBook: (text) => {
+    const incoming = parseAddressBook(text)
+    const book     = [...get().addressBook]
+    let added = 0
+
+    for (const entry of incoming) {
+      const i = book.findIndex(c => isSameContact(c, entry))
+      if (i === -1) { book.push(entry); added++ }
+      else book[i] = entry
+    }
+
+    set({ addressBook: book })
+    return added
+  },
+
+  // JSON text of the whole address book, for download
+  exportAddressBook: () => serializeAddressBook(get().addressBook),
+
 
   // ── SEND ETH (Week 2 - App 1) ────────────────────────────
   // toAddress: the recipient wallet address string
-  // ethAmount: ETH as a string e.g. "0.01"
+  // ethAmount: native currency as a string e.g. "0.01"
   // Returns the receipt object which contains the txHash
   sendEth: async (toAddress, ethAmount) => {
-    const provider = new ethers.BrowserProvider(window.ethereum)
+    const provider = get().getBrowserProvider()
     const signer   = await provider.getSigner()
+    const { decimals, symbol } = getChain(get().chainId).nativeCurrency
 
     // sendTransaction triggers MetaMask popup — user confirms here
     const tx = await signer.sendTransaction({
       to:    toAddress,
-      value: ethers.parseEther(ethAmount),
+      value: ethers.parseUnits(ethAmount, decimals),
     })
 
+    // Record it in the pending queue so it survives a reload.
+    // useTxStore is only read here, at call time — the two stores
+    // import each other, so nothing may touch it while loading.
+    useTxStore.getState().trackTx(tx, { description: `Send ${ethAmount} ${symbol}` })
+
     // tx.wait() pauses until the transaction is mined into a block
     const receipt = await tx.wait()
 
@@ -232,4 +561,22 @@ export const useWalletStore = create((set, get) => ({
     return receipt
   },
 
+}), {
+  // ── Persistence ──────────────────────────────────────────────
+  // Only these fields are saved to localStorage.
+  // Everything else (address, balance…) is re-read from the wallet.
+  name: 'web3-wallet',
+  partialize: (state) => ({
+    walletRdns:       state.walletRdns,
+    userDisconnected: state.userDisconnected,
+    watchlist:        state.watchlist,
+    addressBook:      state.addressBook,
+  }),
 }))
+
+// Start listening for EIP-6963 wallet announcements right away,
+// so the chooser is filled by the time WalletCard renders.
+useWalletStore.getState().startWalletDiscovery()
+
+// Then try to pick up where the user left off (no popup)
+useWalletStore.getState().restoreSession()